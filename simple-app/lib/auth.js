@@ -0,0 +1,48 @@
+// Optional access gate. API_KEY lets API clients in with an "X-API-Key" header or "Authorization: Bearer";
+// BASIC_AUTH_USER/BASIC_AUTH_PASSWORD protect everything, web UI included, with the browser's login prompt.
+// With neither set the app stays open, as for a local install.
+const crypto = require("crypto");
+
+// Constant-time comparison that does not leak the expected value's length
+function safeEqual(actual, expected) {
+  const digest = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(actual), digest(expected));
+}
+
+function readBasicAuth(header) {
+  const match = /^Basic\s+(.+)$/i.exec(header || "");
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  return separator === -1 ? null : { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function readApiKey(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return req.get("x-api-key") || (bearer ? bearer[1].trim() : null);
+}
+
+// Returns the middleware, or null when no credentials are configured. `open` paths (health checks) skip the gate.
+function createAuth({ apiKey, basicUser, basicPassword, open = [] }) {
+  const basic = Boolean(basicUser && basicPassword);
+  if (!apiKey && !basic) return null;
+
+  return (req, res, next) => {
+    // An API key alone guards the API; the static UI is only worth locking with a browser login
+    if (open.includes(req.path) || (!basic && !req.path.startsWith("/api/"))) return next();
+    const key = readApiKey(req);
+    if (apiKey && key && safeEqual(key, apiKey)) return next();
+    const credentials = basic ? readBasicAuth(req.get("authorization")) : null;
+    if (credentials) {
+      // Both comparisons always run, so timing does not reveal which one failed
+      const userMatches = safeEqual(credentials.user, basicUser);
+      const passwordMatches = safeEqual(credentials.password, basicPassword);
+      if (userMatches && passwordMatches) return next();
+    }
+
+    if (basic) res.set("WWW-Authenticate", 'Basic realm="Magic CV", charset="UTF-8"');
+    res.status(401).json({ error: "Authentication required" });
+  };
+}
+
+module.exports = { createAuth };
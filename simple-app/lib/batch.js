@@ -0,0 +1,139 @@
+// Batch tailoring: job lists from JSON or CSV, a concurrency-limited runner and the summary sheet
+const { jobFieldsError } = require("./limits");
+
+const MAX_BATCH_JOBS = 25;
+
+// Accepted header names per column, compared case-insensitively
+const CSV_COLUMNS = {
+  jobTitle: ["title", "job title", "jobtitle", "role", "position"],
+  company: ["company", "employer", "organisation", "organization"],
+  jobDescription: ["description", "job description", "jobdescription", "jd"],
+};
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (src[i + 1] === '"') field += src[++i];
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function jobsFromCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map((name) => name.trim().toLowerCase());
+  const column = {};
+  for (const [key, aliases] of Object.entries(CSV_COLUMNS)) column[key] = names.findIndex((name) => aliases.includes(name));
+  if (column.jobDescription === -1) return { error: 'The CSV needs a "description" column (and optionally "title" and "company")' };
+  return { jobs: rows.map((row) => ({ jobTitle: row[column.jobTitle], company: row[column.company], jobDescription: row[column.jobDescription] })) };
+}
+
+// Accepts { jobs } (JSON array of { jobTitle|title, company, jobDescription|description } or plain strings)
+// or { jobsCsv }; returns { jobs } with trimmed fields or { error }
+function parseBatchJobs({ jobs, jobsCsv }) {
+  let list;
+  if (jobsCsv && String(jobsCsv).trim()) {
+    const parsed = jobsFromCsv(jobsCsv);
+    if (parsed.error) return parsed;
+    list = parsed.jobs;
+  } else {
+    try {
+      list = typeof jobs === "string" ? JSON.parse(jobs) : jobs;
+    } catch (err) {
+      return { error: "Invalid jobs JSON" };
+    }
+  }
+  if (!Array.isArray(list) || !list.length) return { error: "Add at least one job description" };
+  if (list.length > MAX_BATCH_JOBS) return { error: `A batch can hold at most ${MAX_BATCH_JOBS} jobs` };
+
+  const normalized = list
+    .map((job) => (typeof job === "string" ? { jobDescription: job } : job || {}))
+    .map((job) => ({
+      jobTitle: String(job.jobTitle || job.title || "").trim(),
+      company: String(job.company || "").trim(),
+      jobDescription: String(job.jobDescription || job.description || "").trim(),
+    }));
+  const empty = normalized.findIndex((job) => !job.jobDescription);
+  if (empty !== -1) return { error: `Job ${empty + 1} has no description` };
+  for (const [index, job] of normalized.entries()) {
+    const problem = jobFieldsError(job, `Job ${index + 1}`);
+    if (problem) return { error: problem.error };
+  }
+  return { jobs: normalized };
+}
+
+// worker(item, index) for every item with at most `concurrency` running at once; results keep input order.
+// Workers handle their own errors so one failed job never stops the queue.
+async function runWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+}
+
+// "03 Acme Ltd - Backend Engineer": numbered so folders sort in submission order, without characters Windows rejects
+function jobFolderName(job, index) {
+  const label = [job.company, job.jobTitle].filter(Boolean).join(" - ") || "Job";
+  const safe = label.replace(/[\\/:*?"<>|]+/g, " ").replace(/\s+/g, " ").trim().slice(0, 80);
+  return `${String(index + 1).padStart(2, "0")} ${safe}`;
+}
+
+// Text cells starting with = + - @, a tab or a carriage return would run as spreadsheet formulas
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const SUMMARY_COLUMNS = [
+  ["#", (r) => r.index + 1],
+  ["Job title", (r) => r.jobTitle],
+  ["Company", (r) => r.company],
+  ["Status", (r) => r.status],
+  ["Original match %", (r) => (r.analysis ? r.analysis.original : null)],
+  ["Tailored match %", (r) => (r.analysis ? r.analysis.tailored : null)],
+  ["Improvement", (r) => (r.analysis ? r.analysis.improvement : null)],
+  ["Missing keywords", (r) => (r.analysis ? r.analysis.missing.join(", ") : null)],
+  ["Facts to check", (r) => (r.status === "done" ? r.warnings : null)],
+  ["Folder", (r) => r.folder],
+  ["Run ID", (r) => r.runId],
+  ["Errors", (r) => r.error || Object.entries(r.errors || {}).map(([type, message]) => `${type}: ${message}`).join("; ")],
+];
+
+// Summary sheet comparing match scores across the batch; the BOM makes Excel read it as UTF-8
+function summaryCsv(results) {
+  const rows = [SUMMARY_COLUMNS.map(([name]) => name), ...results.map((result) => SUMMARY_COLUMNS.map(([, read]) => read(result)))];
+  return "\uFEFF" + rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, parseBatchJobs, runWithConcurrency, jobFolderName, summaryCsv };
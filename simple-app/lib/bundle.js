@@ -0,0 +1,21 @@
+// ZIP bundles of generated documents
+const JSZip = require("jszip");
+
+// Plain-text record of the job the documents were tailored for
+function jobText({ jobTitle, company, jobDescription }) {
+  const header = [
+    jobTitle && jobTitle.trim() && `Job title: ${jobTitle.trim()}`,
+    company && company.trim() && `Company: ${company.trim()}`,
+    `Generated: ${new Date().toISOString()}`,
+  ];
+  return `${header.filter(Boolean).join("\n")}\n\n${jobDescription.trim()}\n`;
+}
+
+// entries: [{ path, buffer }]; paths may contain folders ("Acme/CV.pdf")
+async function buildZip(entries) {
+  const zip = new JSZip();
+  for (const { path, buffer } of entries) zip.file(path, buffer);
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE", compressionOptions: { level: 6 } });
+}
+
+module.exports = { jobText, buildZip };
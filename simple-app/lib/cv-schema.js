@@ -0,0 +1,291 @@
+// Structured CV returned by the "cv" LLM task and consumed by every renderer.
+// A small JSON-Schema subset: type, properties, items, required, default, maxLength, maxItems.
+// The size limits are generous for real CVs and reject runaway or off-task model output.
+const CV_SCHEMA = {
+  type: "object",
+  required: ["personalInfo", "experience", "skills"],
+  properties: {
+    personalInfo: {
+      type: "object",
+      required: ["fullName"],
+      properties: {
+        fullName: { type: "string", maxLength: 200 },
+        email: { type: "string", default: "", maxLength: 300 },
+        phone: { type: "string", default: "", maxLength: 100 },
+        location: { type: "string", default: "", maxLength: 300 },
+        linkedin: { type: "string", default: "", maxLength: 300 },
+        // Only shown by regions that expect them (see regions.js)
+        dateOfBirth: { type: "string", maxLength: 100 },
+        placeOfBirth: { type: "string", maxLength: 200 },
+        nationality: { type: "string", maxLength: 200 },
+        maritalStatus: { type: "string", maxLength: 100 },
+      },
+    },
+    summary: { type: "string", default: "", maxLength: 3000 },
+    experience: {
+      type: "array",
+      maxItems: 40,
+      items: {
+        type: "object",
+        required: ["title", "company"],
+        properties: {
+          title: { type: "string", maxLength: 300 },
+          company: { type: "string", maxLength: 300 },
+          location: { type: "string", default: "", maxLength: 300 },
+          dates: { type: "string", default: "", maxLength: 100 },
+          achievements: { type: "array", items: { type: "string", maxLength: 1000 }, default: [], maxItems: 30 },
+        },
+      },
+    },
+    // Grouped by category ("Languages", "Cloud"); a CV without categories has one group with an empty one
+    skills: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        required: ["items"],
+        properties: {
+          category: { type: "string", default: "", maxLength: 100 },
+          items: { type: "array", items: { type: "string", maxLength: 300 }, maxItems: 150 },
+        },
+      },
+    },
+    education: {
+      type: "array",
+      default: [],
+      maxItems: 30,
+      items: {
+        type: "object",
+        required: ["degree", "institution"],
+        properties: {
+          degree: { type: "string", maxLength: 300 },
+          institution: { type: "string", maxLength: 300 },
+          dates: { type: "string", default: "", maxLength: 100 },
+          details: { type: "string", default: "", maxLength: 2000 },
+        },
+      },
+    },
+    // Optional sections, rendered through the section model in cv-sections.js
+    projects: {
+      type: "array",
+      default: [],
+      maxItems: 30,
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", maxLength: 300 },
+          role: { type: "string", default: "", maxLength: 300 },
+          dates: { type: "string", default: "", maxLength: 100 },
+          link: { type: "string", default: "", maxLength: 300 },
+          description: { type: "string", default: "", maxLength: 2000 },
+          highlights: { type: "array", items: { type: "string", maxLength: 1000 }, default: [], maxItems: 20 },
+        },
+      },
+    },
+    certifications: {
+      type: "array",
+      default: [],
+      maxItems: 40,
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: { type: "string", maxLength: 300 },
+          issuer: { type: "string", default: "", maxLength: 300 },
+          date: { type: "string", default: "", maxLength: 100 },
+        },
+      },
+    },
+    languages: {
+      type: "array",
+      default: [],
+      maxItems: 20,
+      items: {
+        type: "object",
+        required: ["language"],
+        properties: {
+          language: { type: "string", maxLength: 100 },
+          // "Native", "Fluent", "C1"...
+          proficiency: { type: "string", default: "", maxLength: 100 },
+        },
+      },
+    },
+    publications: {
+      type: "array",
+      default: [],
+      maxItems: 50,
+      items: {
+        type: "object",
+        required: ["title"],
+        properties: {
+          title: { type: "string", maxLength: 500 },
+          publisher: { type: "string", default: "", maxLength: 300 },
+          date: { type: "string", default: "", maxLength: 100 },
+          link: { type: "string", default: "", maxLength: 300 },
+        },
+      },
+    },
+    volunteering: {
+      type: "array",
+      default: [],
+      maxItems: 20,
+      items: {
+        type: "object",
+        required: ["role", "organization"],
+        properties: {
+          role: { type: "string", maxLength: 300 },
+          organization: { type: "string", maxLength: 300 },
+          location: { type: "string", default: "", maxLength: 300 },
+          dates: { type: "string", default: "", maxLength: 100 },
+          achievements: { type: "array", items: { type: "string", maxLength: 1000 }, default: [], maxItems: 20 },
+        },
+      },
+    },
+    awards: {
+      type: "array",
+      default: [],
+      maxItems: 30,
+      items: {
+        type: "object",
+        required: ["title"],
+        properties: {
+          title: { type: "string", maxLength: 300 },
+          issuer: { type: "string", default: "", maxLength: 300 },
+          date: { type: "string", default: "", maxLength: 100 },
+        },
+      },
+    },
+    // Anything else the CV has (interests, memberships...), each under its own heading
+    customSections: {
+      type: "array",
+      default: [],
+      maxItems: 10,
+      items: {
+        type: "object",
+        required: ["title"],
+        properties: {
+          title: { type: "string", maxLength: 100 },
+          items: { type: "array", items: { type: "string", maxLength: 1000 }, default: [], maxItems: 30 },
+        },
+      },
+    },
+  },
+};
+
+class CVValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = "CVValidationError";
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+// Walk value against schema, collecting { path, message } errors and filling in defaults
+function normalize(schema, value, path, errors) {
+  if (value === undefined || value === null) {
+    if (schema.default !== undefined) return JSON.parse(JSON.stringify(schema.default));
+    errors.push({ path, message: "is required" });
+    return value;
+  }
+
+  if (schema.type === "string") {
+    if (typeof value === "number") return String(value);
+    if (typeof value !== "string") {
+      errors.push({ path, message: `must be a string, got ${typeOf(value)}` });
+      return value;
+    }
+    const trimmed = value.trim();
+    if (schema.maxLength && trimmed.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters, got ${trimmed.length}` });
+    }
+    return trimmed;
+  }
+
+  if (schema.type === "array") {
+    if (!Array.isArray(value)) {
+      errors.push({ path, message: `must be an array, got ${typeOf(value)}` });
+      return value;
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items, got ${value.length}` });
+    }
+    return value.map((item, i) => normalize(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (schema.type === "object") {
+    if (typeOf(value) !== "object") {
+      errors.push({ path, message: `must be an object, got ${typeOf(value)}` });
+      return value;
+    }
+    const result = { ...value };
+    for (const [key, propSchema] of Object.entries(schema.properties)) {
+      const propPath = path ? `${path}.${key}` : key;
+      const required = (schema.required || []).includes(key);
+      if ((value[key] === undefined || value[key] === null) && !required && propSchema.default === undefined) continue;
+      if (required && typeof value[key] === "string" && !value[key].trim()) {
+        errors.push({ path: propPath, message: "must not be empty" });
+        continue;
+      }
+      result[key] = normalize(propSchema, value[key], propPath, errors);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// CVs saved before skills were grouped, and models that answer with a flat list anyway, have skills as
+// strings; those become one group without a category, ahead of any proper groups
+function groupSkills(data) {
+  if (typeOf(data) !== "object" || !Array.isArray(data.skills)) return data;
+  const loose = data.skills.filter((skill) => typeof skill === "string");
+  if (!loose.length) return data;
+  return { ...data, skills: [{ category: "", items: loose }, ...data.skills.filter((skill) => typeof skill !== "string")] };
+}
+
+function validateCV(data) {
+  const errors = [];
+  const value = normalize(CV_SCHEMA, groupSkills(data), "", errors);
+  return { value, errors };
+}
+
+// Strip markdown fences / chatter around the JSON object the model returned
+function extractJSON(text) {
+  const cleaned = String(text).replace(/```json|```/g, "").trim();
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new Error("Response does not contain a JSON object");
+  return JSON.parse(cleaned.slice(start, end + 1));
+}
+
+// Parse + validate a raw model response; never throws, errors carry the offending paths
+function parseCV(text) {
+  let data;
+  try {
+    data = extractJSON(text);
+  } catch (err) {
+    return { value: null, errors: [{ path: "", message: `invalid JSON: ${err.message}` }] };
+  }
+  return validateCV(data);
+}
+
+// Example object with "..." placeholders, used to describe the schema in prompts
+function schemaExample(schema = CV_SCHEMA) {
+  if (schema.type === "array") return [schemaExample(schema.items)];
+  if (schema.type === "object") {
+    return Object.fromEntries(Object.entries(schema.properties).map(([key, prop]) => [key, schemaExample(prop)]));
+  }
+  return "...";
+}
+
+function formatErrors(errors) {
+  return errors.map((e) => `- ${e.path || "(root)"}: ${e.message}`).join("\n");
+}
+
+module.exports = { CV_SCHEMA, CVValidationError, validateCV, parseCV, extractJSON, schemaExample, formatErrors };
@@ -0,0 +1,85 @@
+// Section model shared by the renderers. Summary, experience, skills and education are drawn by each renderer
+// its own way; every other section is turned into generic entries { title, subtitle, meta, text, bullets }
+// that all renderers know how to draw:
+//   "entries"  one block per entry, like a job: title | subtitle, meta line, text, bullets
+//   "list"     one line per entry: title — subtitle, meta (entries without a title are just their text)
+// Adding a section takes a schema property (cv-schema.js), an entry in EXTRA_SECTIONS, a heading per language
+// (i18n.js) and a place in the templates' section order (templates.js, regions.js).
+
+// Whether a core section has anything to show
+const CORE_SECTIONS = {
+  summary: (cvData) => Boolean(cvData.summary),
+  experience: (cvData) => cvData.experience.length > 0,
+  skills: (cvData) => skillGroups(cvData).length > 0,
+  education: (cvData) => cvData.education.length > 0,
+};
+
+const EXTRA_SECTIONS = {
+  projects: {
+    layout: "entries",
+    entries: (cvData) =>
+      cvData.projects.map((project) => ({
+        title: project.name,
+        subtitle: [project.role, project.link].filter(Boolean).join(" | "),
+        meta: project.dates,
+        text: project.description,
+        bullets: project.highlights,
+      })),
+  },
+  certifications: {
+    layout: "list",
+    entries: (cvData) => cvData.certifications.map((cert) => ({ title: cert.name, subtitle: cert.issuer, meta: cert.date })),
+  },
+  languages: {
+    layout: "list",
+    entries: (cvData) => cvData.languages.map((lang) => ({ title: lang.language, subtitle: lang.proficiency })),
+  },
+  publications: {
+    layout: "list",
+    entries: (cvData) =>
+      cvData.publications.map((pub) => ({ title: pub.title, subtitle: [pub.publisher, pub.link].filter(Boolean).join(", "), meta: pub.date })),
+  },
+  volunteering: {
+    layout: "entries",
+    entries: (cvData) =>
+      cvData.volunteering.map((role) => ({
+        title: role.role,
+        subtitle: [role.organization, role.location].filter(Boolean).join(", "),
+        meta: role.dates,
+        bullets: role.achievements,
+      })),
+  },
+  awards: {
+    layout: "list",
+    entries: (cvData) => cvData.awards.map((award) => ({ title: award.title, subtitle: award.issuer, meta: award.date })),
+  },
+};
+
+// Skill groups that have skills: [{ category, items }]
+function skillGroups(cvData) {
+  return cvData.skills.filter((group) => group.items.length);
+}
+
+// The part of a list entry after its title: "Amazon Web Services, 2023"
+function listDetail(entry) {
+  return [entry.subtitle, entry.meta, entry.text].filter(Boolean).join(", ");
+}
+
+// Sections to render for `ids` in order, leaving out empty ones: [{ id, title, layout, entries }].
+// Core sections have their own id as layout and no entries. "custom" stands for all of the CV's custom
+// sections, each a list under its own title.
+function resolveSections(ids, cvData, titles) {
+  return ids.flatMap((id) => {
+    if (id === "custom") {
+      return cvData.customSections
+        .filter((section) => section.items.length)
+        .map((section) => ({ id, title: section.title.toUpperCase(), layout: "list", entries: section.items.map((text) => ({ text })) }));
+    }
+    if (CORE_SECTIONS[id]) return CORE_SECTIONS[id](cvData) ? [{ id, title: titles[id], layout: id }] : [];
+    const section = EXTRA_SECTIONS[id];
+    const entries = section ? section.entries(cvData).map((entry) => ({ bullets: [], ...entry })) : [];
+    return entries.length ? [{ id, title: titles[id], layout: section.layout, entries }] : [];
+  });
+}
+
+module.exports = { EXTRA_SECTIONS, skillGroups, listDetail, resolveSections };
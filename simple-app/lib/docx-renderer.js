@@ -0,0 +1,367 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  AlignmentType,
+  BorderStyle,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+} = require("docx");
+const { getSectionLayout } = require("./templates");
+const { getLanguage, formatLetterDate } = require("./i18n");
+const { getRegion, labelledLayout } = require("./regions");
+const { skillGroups, listDetail, resolveSections } = require("./cv-sections");
+
+const PAGE_MARGIN = 720;
+const CONTENT_WIDTH = 12240 - 2 * PAGE_MARGIN; // US Letter width in twips minus margins
+const NO_BORDER = { style: BorderStyle.NONE, size: 0, color: "FFFFFF" };
+const NO_BORDERS = { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER, insideHorizontal: NO_BORDER, insideVertical: NO_BORDER };
+// Label-column layouts (Europass, Lebenslauf): width of the labels and dates column
+const LABEL_WIDTH = Math.round(CONTENT_WIDTH * 0.26);
+
+const hex = (color) => color.replace("#", "");
+
+// Small helpers bound to a template so section renderers stay declarative
+function createStyler(t) {
+  return {
+    run: (text, { size = t.sizes.body, color = t.colors.text, ...rest } = {}) =>
+      new TextRun({ text, size: Math.round(size * 2), font: t.fonts.docx, color: hex(color), ...rest }),
+    space: (twips) => Math.round(twips * t.spacing),
+  };
+}
+
+// A job-like entry: "title  |  subtitle", meta line, text and bullets
+function renderEntry(entry, t, s) {
+  const heading = [s.run(entry.title, { size: t.sizes.title, bold: true })];
+  if (entry.subtitle) {
+    heading.push(s.run("  |  ", { size: t.sizes.title, color: t.colors.separator }), s.run(entry.subtitle, { size: t.sizes.title, italics: true }));
+  }
+  const children = [new Paragraph({ children: heading, spacing: { before: s.space(150), after: s.space(60) } })];
+  if (entry.meta) {
+    children.push(
+      new Paragraph({
+        children: [s.run(entry.meta, { size: t.sizes.meta, color: t.colors.muted })],
+        spacing: { after: s.space(80) },
+      })
+    );
+  }
+  if (entry.text) children.push(new Paragraph({ children: [s.run(entry.text)], spacing: { after: s.space(60) } }));
+  for (const bullet of entry.bullets) {
+    children.push(
+      new Paragraph({
+        children: [s.run("• " + bullet)],
+        spacing: { after: s.space(60) },
+        indent: { left: 360 },
+      })
+    );
+  }
+  return children;
+}
+
+// Section renderers keyed by layout (see cv-sections.js); each returns an array of paragraphs for one column.
+// section is { id, title, layout, entries }
+const SECTION_RENDERERS = {
+  summary: (cvData, t, s) => [new Paragraph({ children: [s.run(cvData.summary)], spacing: { after: s.space(200) } })],
+  experience: (cvData, t, s) =>
+    cvData.experience.flatMap((job) =>
+      renderEntry({ title: job.title, subtitle: job.company, meta: [job.location, job.dates].filter(Boolean).join(" | "), bullets: job.achievements }, t, s)
+    ),
+  // One paragraph per group in the main column ("Cloud: AWS  •  Terraform"), a list per group in the sidebar
+  skills(cvData, t, s, col) {
+    const groups = skillGroups(cvData);
+    if (col.sidebar) {
+      return groups.flatMap((group, i) => [
+        ...(group.category ? [new Paragraph({ children: [s.run(group.category, { bold: true })], spacing: { before: i ? s.space(120) : 0, after: s.space(40) } })] : []),
+        ...group.items.map((skill) => new Paragraph({ children: [s.run("• " + skill)], spacing: { after: s.space(40) } })),
+      ]);
+    }
+    return groups.map(
+      (group, i) =>
+        new Paragraph({
+          children: [...(group.category ? [s.run(`${group.category}: `, { bold: true })] : []), s.run(group.items.join("  •  "))],
+          spacing: { after: s.space(i === groups.length - 1 ? 200 : 80) },
+        })
+    );
+  },
+  education(cvData, t, s) {
+    const children = [];
+    for (const edu of cvData.education) {
+      children.push(
+        new Paragraph({
+          children: [s.run(edu.degree, { size: t.sizes.title, bold: true })],
+          spacing: { before: s.space(100), after: s.space(40) },
+        }),
+        new Paragraph({
+          children: [s.run([edu.institution, edu.dates].filter(Boolean).join(" | "), { size: t.sizes.meta, color: t.colors.muted })],
+          spacing: { after: s.space(edu.details ? 40 : 100) },
+        })
+      );
+      if (edu.details) children.push(new Paragraph({ children: [s.run(edu.details)], spacing: { after: s.space(100) } }));
+    }
+    return children;
+  },
+  entries: (cvData, t, s, col, section) => section.entries.flatMap((entry) => renderEntry(entry, t, s)),
+  // "AWS Certified Developer — Amazon Web Services, 2023"
+  list: (cvData, t, s, col, section) =>
+    section.entries.map((entry, i) => {
+      const detail = listDetail(entry);
+      const children = [s.run("• ")];
+      if (entry.title) children.push(s.run(entry.title, { bold: true }));
+      if (detail) children.push(s.run(entry.title ? ` — ${detail}` : detail));
+      return new Paragraph({ children, spacing: { after: s.space(i === section.entries.length - 1 ? 200 : 60) } });
+    }),
+};
+
+function renderSectionHeader(title, t, s) {
+  return new Paragraph({
+    children: [s.run(title, { size: t.sizes.heading, bold: true, color: t.colors.primary })],
+    spacing: { before: s.space(200), after: s.space(120) },
+    border: {
+      bottom: { color: hex(t.colors.rule), space: 1, style: BorderStyle.SINGLE, size: 6 },
+    },
+  });
+}
+
+function renderColumn(sections, cvData, t, s, col) {
+  const children = [];
+  for (const section of resolveSections(sections, cvData, col.titles)) {
+    children.push(renderSectionHeader(section.title, t, s), ...SECTION_RENDERERS[section.layout](cvData, t, s, col, section));
+  }
+  return children;
+}
+
+function renderHeader(cvData, t, s) {
+  const info = cvData.personalInfo;
+  const alignment = t.header.align === "center" ? AlignmentType.CENTER : AlignmentType.LEFT;
+  const name = t.header.uppercaseName ? info.fullName.toUpperCase() : info.fullName;
+  const contact = [info.email, info.phone, info.location, info.linkedin].filter(Boolean).join(" | ");
+
+  const children = [
+    new Paragraph({
+      children: [s.run(name, { size: t.sizes.name, bold: true, color: t.colors.primary })],
+      alignment,
+      spacing: { after: 120 },
+    }),
+    new Paragraph({
+      children: [s.run(contact, { size: t.sizes.contact, color: t.colors.contact })],
+      alignment,
+      spacing: { after: s.space(300) },
+    }),
+  ];
+  if (t.header.rule) {
+    children.push(
+      new Paragraph({
+        border: {
+          bottom: { color: hex(t.colors.primary), space: 1, style: BorderStyle.SINGLE, size: 12 },
+        },
+        spacing: { after: s.space(300) },
+      })
+    );
+  }
+  return children;
+}
+
+// Borderless two-cell table: sidebar on the left, main content on the right
+function renderTwoColumns(sidebar, main, t) {
+  const sidebarWidth = Math.round(CONTENT_WIDTH * t.sidebarWidth);
+  const cell = (children, width, margins) =>
+    new TableCell({
+      children,
+      width: { size: width, type: WidthType.DXA },
+      margins,
+      borders: { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER },
+    });
+
+  return new Table({
+    width: { size: CONTENT_WIDTH, type: WidthType.DXA },
+    columnWidths: [sidebarWidth, CONTENT_WIDTH - sidebarWidth],
+    borders: { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER, insideHorizontal: NO_BORDER, insideVertical: NO_BORDER },
+    rows: [
+      new TableRow({
+        children: [
+          cell(sidebar, sidebarWidth, { right: 300 }),
+          cell(main, CONTENT_WIDTH - sidebarWidth, { left: 300 }),
+        ],
+      }),
+    ],
+  });
+}
+
+// One borderless table per section: label (dates) cell on the left, title, subtitle, text and bullets on the right
+function renderLabelledSection(section, t, s, labelAlign) {
+  const alignment = labelAlign === "right" ? AlignmentType.RIGHT : AlignmentType.LEFT;
+  const cell = (children, width, margins) =>
+    new TableCell({ children, width: { size: width, type: WidthType.DXA }, margins, borders: NO_BORDERS });
+
+  const rows = section.rows.map((row) => {
+    const content = [];
+    if (row.title) content.push(new Paragraph({ children: [s.run(row.title, { size: t.sizes.title, bold: true })], spacing: { after: 20 } }));
+    if (row.subtitle) content.push(new Paragraph({ children: [s.run(row.subtitle, { italics: true })], spacing: { after: 40 } }));
+    if (row.text) content.push(new Paragraph({ children: [s.run(row.text)], spacing: { after: 40 } }));
+    for (const bullet of row.bullets || []) {
+      content.push(new Paragraph({ children: [s.run("• " + bullet)], spacing: { after: 40 }, indent: { left: 240 } }));
+    }
+    const label = new Paragraph({ children: [s.run(row.label || "", { size: t.sizes.meta, color: t.colors.muted })], alignment });
+    return new TableRow({
+      cantSplit: true,
+      children: [
+        cell([label], LABEL_WIDTH, { right: 200, bottom: s.space(120) }),
+        cell(content.length ? content : [new Paragraph("")], CONTENT_WIDTH - LABEL_WIDTH, { left: 200, bottom: s.space(120) }),
+      ],
+    });
+  });
+
+  return new Table({
+    width: { size: CONTENT_WIDTH, type: WidthType.DXA },
+    columnWidths: [LABEL_WIDTH, CONTENT_WIDTH - LABEL_WIDTH],
+    borders: NO_BORDERS,
+    rows,
+  });
+}
+
+// Europass and Lebenslauf: heading, then every section as label/content rows; a Lebenslauf ends dated and signed
+function renderLabelledCV(layout, t, s) {
+  const children = [
+    new Paragraph({
+      children: [s.run(layout.heading, { size: t.sizes.name, bold: true, color: t.colors.primary })],
+      alignment: layout.signature ? AlignmentType.CENTER : AlignmentType.LEFT,
+      spacing: { after: s.space(200) },
+    }),
+  ];
+  for (const section of layout.sections) {
+    children.push(renderSectionHeader(section.title, t, s), renderLabelledSection(section, t, s, layout.labelAlign));
+  }
+  if (layout.signature) {
+    children.push(
+      new Paragraph({ children: [s.run(layout.signature.place)], spacing: { before: 400, after: 600 } }),
+      new Paragraph({
+        children: [s.run(layout.signature.name)],
+        border: { top: { color: hex(t.colors.muted), space: 4, style: BorderStyle.SINGLE, size: 4 } },
+        indent: { right: CONTENT_WIDTH - 3600 },
+      })
+    );
+  }
+  return children;
+}
+
+// Header, then the template's sections in one or two columns
+function renderStandardCV(cvData, t, s, titles) {
+  const layout = getSectionLayout(t);
+  const children = renderHeader(cvData, t, s);
+  if (layout.sidebar.length) {
+    children.push(
+      renderTwoColumns(
+        renderColumn(layout.sidebar, cvData, t, s, { sidebar: true, titles }),
+        renderColumn(layout.main, cvData, t, s, { sidebar: false, titles }),
+        t
+      )
+    );
+  } else {
+    children.push(...renderColumn(layout.main, cvData, t, s, { sidebar: false, titles }));
+  }
+  return children;
+}
+
+// region picks the layout: the template's own for "standard" regions, a label-column layout otherwise
+// (label-column layouts keep the template's fonts and colours but not its section order or sidebar)
+async function generateCVDocx(cvData, template, { language, region } = {}) {
+  const t = template;
+  const s = createStyler(t);
+  const children =
+    getRegion(region).layout === "standard"
+      ? renderStandardCV(cvData, t, s, getLanguage(language).sections)
+      : renderLabelledCV(labelledLayout(cvData, region, language), t, s);
+
+  const doc = new Document({
+    sections: [
+      {
+        properties: { page: { margin: { top: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN } } },
+        children,
+      },
+    ],
+  });
+  return await Packer.toBuffer(doc);
+}
+
+// Split letter text into paragraphs on blank lines, keeping single line breaks inside each one
+function splitLetterParagraphs(body) {
+  return body
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n").map((line) => line.trimEnd()))
+    .filter((lines) => lines.some((line) => line.trim()));
+}
+
+// Letter-type documents (cover letter, application email), styled with the selected CV template.
+// recipient defaults to the language's "Hiring Manager"; pass null for none.
+async function generateTextDocx(title, body, cvData, { recipient, template, language } = {}) {
+  const t = template;
+  const s = createStyler({ ...t, spacing: 1 });
+  const info = cvData.personalInfo;
+  const contact = [info.email, info.phone, info.location].filter(Boolean).join(" | ");
+  const date = formatLetterDate(language);
+  if (recipient === undefined) recipient = getLanguage(language).recipient;
+
+  const children = [
+    new Paragraph({
+      children: [s.run(info.fullName, { size: 16, bold: true, color: t.colors.primary })],
+      spacing: { after: 60 },
+    }),
+    new Paragraph({
+      children: [s.run(contact, { size: 10, color: t.colors.contact })],
+      spacing: { after: 200 },
+    }),
+    new Paragraph({
+      border: {
+        bottom: { color: hex(t.colors.primary), space: 1, style: BorderStyle.SINGLE, size: 12 },
+      },
+      spacing: { after: 300 },
+    }),
+    new Paragraph({
+      children: [s.run(date, { size: 11, color: t.colors.contact })],
+      spacing: { after: 240 },
+    }),
+  ];
+
+  for (const line of [].concat(recipient).filter(Boolean)) {
+    children.push(new Paragraph({ children: [s.run(line, { size: 11 })], spacing: { after: 0 } }));
+  }
+
+  const paragraphs = splitLetterParagraphs(body);
+  for (const [i, lines] of paragraphs.entries()) {
+    children.push(
+      new Paragraph({
+        children: lines.map((line, j) => s.run(line, { size: 11, break: j > 0 ? 1 : 0 })),
+        spacing: { before: i === 0 ? 300 : 0, after: 200, line: 300 },
+      })
+    );
+  }
+
+  // Only sign off if the model didn't already end the letter with the candidate's name
+  const lastLines = paragraphs.length ? paragraphs[paragraphs.length - 1].join(" ") : "";
+  if (!lastLines.toLowerCase().includes(info.fullName.toLowerCase())) {
+    children.push(
+      new Paragraph({
+        children: [s.run(info.fullName, { size: 11, bold: true, color: t.colors.primary })],
+        spacing: { before: 200 },
+      })
+    );
+  }
+
+  const doc = new Document({
+    title,
+    creator: info.fullName,
+    sections: [
+      {
+        properties: { page: { margin: { top: 1080, right: 1080, bottom: 1080, left: 1080 } } },
+        children,
+      },
+    ],
+  });
+  return await Packer.toBuffer(doc);
+}
+
+module.exports = { generateCVDocx, generateTextDocx };
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Generated files kept in memory behind unguessable tokens, so responses carry short-lived URLs
+// instead of inline base64. Entries expire after ttlMs and are swept once a minute. Past maxEntries files or
+// maxBytes in total the oldest files are dropped first (their links answer like expired ones); the newest
+// file is always kept, even on its own over maxBytes.
+function createDownloadStore({ ttlMs, maxEntries = Infinity, maxBytes = Infinity }) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (token) => {
+    totalBytes -= entries.get(token).buffer.length;
+    entries.delete(token);
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [token, entry] of entries) {
+      if (entry.expiresAt <= now) remove(token);
+    }
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  // Maps iterate in insertion order, so the first key is the oldest file
+  const evict = () => {
+    while (entries.size > 1 && (entries.size > maxEntries || totalBytes > maxBytes)) remove(entries.keys().next().value);
+  };
+
+  return {
+    // Returns the public descriptor: { fileName, mimeType, url, expiresAt }
+    put({ fileName, mimeType, buffer }) {
+      const token = crypto.randomBytes(24).toString("base64url");
+      const expiresAt = Date.now() + ttlMs;
+      entries.set(token, { fileName, mimeType, buffer, expiresAt });
+      totalBytes += buffer.length;
+      evict();
+      return { fileName, mimeType, url: `/api/downloads/${token}`, expiresAt: new Date(expiresAt).toISOString() };
+    },
+    get(token) {
+      const entry = entries.get(token);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(token);
+        return null;
+      }
+      return entry;
+    },
+  };
+}
+
+module.exports = { createDownloadStore };
@@ -0,0 +1,162 @@
+// Hallucination guard: flags facts in the tailored CV that cannot be found in the source CV text.
+// Rewording is expected, so only checkable facts are compared: employers, titles, dates,
+// education, certifications, publications, awards, numbers and personal details.
+
+const COMPANY_SUFFIXES = new Set(["ltd", "limited", "inc", "llc", "plc", "gmbh", "sa", "sarl", "co", "corp", "corporation", "company", "group"]);
+const CERTIFICATION_PATTERN = /\b(?:certified\s+[\w+#.-]+(?:\s+[\w+#.-]+){0,3}|[\w+#.-]+(?:\s+[\w+#.-]+){0,3}\s+(?:certification|certificate))\b/gi;
+const NUMBER_PATTERN = /(?:[$€£₦₵]\s?)?\d[\d,]*(?:\.\d+)?\s?(?:%|k\b|m\b|bn\b|x\b)?/gi;
+const YEAR_PATTERN = /\b(?:19|20)\d{2}\b/g;
+
+function normalize(text) {
+  return ` ${String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}+#]+/gu, " ")
+    .trim()} `;
+}
+
+function significantTokens(text, ignore = new Set()) {
+  return normalize(text)
+    .trim()
+    .split(" ")
+    .filter((token) => token.length > 1 && !ignore.has(token));
+}
+
+// Exact phrase match, or (for longer names) nearly every significant word present in the source
+function foundInSource(value, source, ignore) {
+  if (!value) return true;
+  if (source.text.includes(normalize(value))) return true;
+  const tokens = significantTokens(value, ignore);
+  if (!tokens.length) return true;
+  const hits = tokens.filter((token) => source.tokens.has(token)).length;
+  return tokens.length > 1 && hits / tokens.length >= 0.8;
+}
+
+// Digits only, so "40%", "40 %" and "$40" all compare as "40"
+function numberKey(raw) {
+  return raw.replace(/[^\d.]/g, "").replace(/\.$/, "").replace(/^0+(?=\d)/, "");
+}
+
+// Translation swaps decimal and thousands separators ("1.5" / "1,5"), so only the digit sequence is compared
+function translatedNumberKey(raw) {
+  return raw.replace(/\D/g, "").replace(/^0+(?=\d)/, "");
+}
+
+function buildSource(sourceText, key) {
+  const text = normalize(sourceText);
+  const numbers = new Set((String(sourceText).match(NUMBER_PATTERN) || []).map(key).filter(Boolean));
+  return { text, tokens: new Set(text.trim().split(" ")), numbers, key };
+}
+
+function checkNumbers(value, path, source, warnings) {
+  for (const raw of String(value || "").match(NUMBER_PATTERN) || []) {
+    const key = source.key(raw);
+    // Bare single digits ("3 teams") are too common to be worth flagging
+    if (!key || (key.length < 2 && !/[%$€£₦₵]/.test(raw)) || source.numbers.has(key)) continue;
+    warnings.push({ path, type: "metric", value: raw.trim(), message: `"${raw.trim()}" does not appear in the original CV` });
+  }
+}
+
+function checkCertifications(value, path, source, warnings) {
+  for (const match of String(value || "").match(CERTIFICATION_PATTERN) || []) {
+    if (!foundInSource(match, source)) {
+      warnings.push({ path, type: "certification", value: match, message: `Certification "${match}" is not in the original CV` });
+    }
+  }
+}
+
+// translated: the CV was written in another language than the source, so job titles and degrees are
+// expected to differ and are not compared; employers, institutions, years and numbers still are
+function verifyCV(cvData, sourceText, { translated = false } = {}) {
+  const source = buildSource(sourceText, translated ? translatedNumberKey : numberKey);
+  const warnings = [];
+  const flag = (path, type, value, message) => warnings.push({ path, type, value, message });
+
+  // Personal details must come from the source, never be guessed; nationality and marital status get translated
+  const info = cvData.personalInfo;
+  for (const year of String(info.dateOfBirth || "").match(YEAR_PATTERN) || []) {
+    if (!source.numbers.has(year)) flag("personalInfo.dateOfBirth", "personal", info.dateOfBirth, `Date of birth "${info.dateOfBirth}" is not in the original CV`);
+  }
+  const personal = translated ? ["placeOfBirth"] : ["placeOfBirth", "nationality", "maritalStatus"];
+  for (const field of personal) {
+    if (!foundInSource(info[field], source)) flag(`personalInfo.${field}`, "personal", info[field], `"${info[field]}" is not in the original CV`);
+  }
+
+  checkNumbers(cvData.summary, "summary", source, warnings);
+  checkCertifications(cvData.summary, "summary", source, warnings);
+
+  cvData.experience.forEach((job, i) => {
+    const path = `experience[${i}]`;
+    if (!foundInSource(job.company, source, COMPANY_SUFFIXES)) {
+      flag(`${path}.company`, "company", job.company, `Employer "${job.company}" is not in the original CV`);
+    }
+    if (!translated && !foundInSource(job.title, source)) {
+      flag(`${path}.title`, "title", job.title, `Job title "${job.title}" differs from the original CV`);
+    }
+    for (const year of String(job.dates || "").match(YEAR_PATTERN) || []) {
+      if (!source.numbers.has(year)) flag(`${path}.dates`, "dates", job.dates, `Year ${year} in "${job.dates}" is not in the original CV`);
+    }
+    job.achievements.forEach((achievement, j) => {
+      checkNumbers(achievement, `${path}.achievements[${j}]`, source, warnings);
+      checkCertifications(achievement, `${path}.achievements[${j}]`, source, warnings);
+    });
+  });
+
+  cvData.skills.forEach((group, i) => {
+    group.items.forEach((skill, j) => checkCertifications(skill, `skills[${i}].items[${j}]`, source, warnings));
+  });
+
+  cvData.education.forEach((edu, i) => {
+    const path = `education[${i}]`;
+    if (!foundInSource(edu.institution, source)) {
+      flag(`${path}.institution`, "education", edu.institution, `Institution "${edu.institution}" is not in the original CV`);
+    }
+    if (!translated && !foundInSource(edu.degree, source)) {
+      flag(`${path}.degree`, "education", edu.degree, `Degree "${edu.degree}" is not in the original CV`);
+    }
+    for (const year of String(edu.dates || "").match(YEAR_PATTERN) || []) {
+      if (!source.numbers.has(year)) flag(`${path}.dates`, "dates", edu.dates, `Year ${year} in "${edu.dates}" is not in the original CV`);
+    }
+  });
+
+  cvData.certifications.forEach((cert, i) => {
+    if (!foundInSource(cert.name, source)) {
+      flag(`certifications[${i}].name`, "certification", cert.name, `Certification "${cert.name}" is not in the original CV`);
+    }
+  });
+
+  // Projects, volunteer roles, publications and awards: organisations, years and numbers like in experience
+  cvData.volunteering.forEach((role, i) => {
+    if (!foundInSource(role.organization, source, COMPANY_SUFFIXES)) {
+      flag(`volunteering[${i}].organization`, "company", role.organization, `Organisation "${role.organization}" is not in the original CV`);
+    }
+    role.achievements.forEach((achievement, j) => checkNumbers(achievement, `volunteering[${i}].achievements[${j}]`, source, warnings));
+  });
+  cvData.projects.forEach((project, i) => {
+    checkNumbers(project.description, `projects[${i}].description`, source, warnings);
+    project.highlights.forEach((highlight, j) => checkNumbers(highlight, `projects[${i}].highlights[${j}]`, source, warnings));
+  });
+  cvData.publications.forEach((pub, i) => {
+    if (!translated && !foundInSource(pub.title, source)) {
+      flag(`publications[${i}].title`, "publication", pub.title, `Publication "${pub.title}" is not in the original CV`);
+    }
+  });
+  cvData.awards.forEach((award, i) => {
+    if (!translated && !foundInSource(award.title, source)) flag(`awards[${i}].title`, "award", award.title, `Award "${award.title}" is not in the original CV`);
+  });
+  const dated = [
+    ...cvData.projects.map((project, i) => [`projects[${i}].dates`, project.dates]),
+    ...cvData.volunteering.map((role, i) => [`volunteering[${i}].dates`, role.dates]),
+    ...["certifications", "publications", "awards"].flatMap((key) => cvData[key].map((item, i) => [`${key}[${i}].date`, item.date])),
+  ];
+  for (const [path, dates] of dated) {
+    for (const year of String(dates || "").match(YEAR_PATTERN) || []) {
+      if (!source.numbers.has(year)) flag(path, "dates", dates, `Year ${year} in "${dates}" is not in the original CV`);
+    }
+  }
+
+  return { warnings, passed: warnings.length === 0 };
+}
+
+module.exports = { verifyCV };
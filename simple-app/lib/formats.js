@@ -0,0 +1,92 @@
+// Output formats: every format renders both the structured CV and letter-type documents
+const { generateCVPDF, generateTextPDF } = require("./pdf-renderer");
+const { generateCVDocx, generateTextDocx } = require("./docx-renderer");
+const { generateCVMarkdown, generateTextMarkdown } = require("./markdown-renderer");
+const { generateCVHTML, generateTextHTML } = require("./html-renderer");
+const { generateCVText, generateTextPlain } = require("./text-renderer");
+const { toJsonResume } = require("./json-resume");
+const { getLanguage, localizeCVDates } = require("./i18n");
+
+// renderCV(cvData, { template, language, region, pageFit }) and renderLetter(title, text, cvData, { recipient, template, language, subject })
+// resolve to Buffers. Visual formats show dates in the output language; JSON keeps them as generated.
+// region changes the PDF/DOCX layout (see regions.js) and which personal details every format shows.
+// pageFit limits PDF CVs to one or two pages (see pdf-renderer.js); other formats have no fixed pages.
+// An email's subject goes above its body ("Subject: ..."), except in JSON where it is a field of its own
+const withSubject = (text, { subject, language }) => (subject ? `${getLanguage(language).subject}: ${subject}\n\n${text}` : text);
+
+const FORMATS = {
+  docx: {
+    id: "docx",
+    name: "Word (DOCX)",
+    extension: "docx",
+    mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    renderCV: (cvData, { template, language, region }) => generateCVDocx(localizeCVDates(cvData, language), template, { language, region }),
+    renderLetter: (title, text, cvData, options) => generateTextDocx(title, withSubject(text, options), cvData, options),
+  },
+  pdf: {
+    id: "pdf",
+    name: "PDF",
+    extension: "pdf",
+    mimeType: "application/pdf",
+    renderCV: (cvData, { template, language, region, pageFit }) =>
+      generateCVPDF(localizeCVDates(cvData, language), template, { language, region, pageFit }),
+    renderLetter: (title, text, cvData, options) => generateTextPDF(title, withSubject(text, options), cvData, options),
+  },
+  json: {
+    id: "json",
+    name: "JSON Resume",
+    extension: "json",
+    mimeType: "application/json",
+    renderCV: async (cvData) => Buffer.from(JSON.stringify(toJsonResume(cvData), null, 2)),
+    // JSON Resume has no letter type; letters are exported as a small self-describing document
+    renderLetter: async (title, text, cvData, { language, subject }) =>
+      Buffer.from(JSON.stringify({ title, author: cvData.personalInfo.fullName, language: getLanguage(language).id, subject, body: text }, null, 2)),
+  },
+  md: {
+    id: "md",
+    name: "Markdown",
+    extension: "md",
+    mimeType: "text/markdown",
+    renderCV: (cvData, { template, language, region }) => generateCVMarkdown(localizeCVDates(cvData, language), template, { language, region }),
+    renderLetter: (title, text, cvData, options) => generateTextMarkdown(title, withSubject(text, options), cvData),
+  },
+  html: {
+    id: "html",
+    name: "HTML",
+    extension: "html",
+    mimeType: "text/html",
+    renderCV: (cvData, { template, language, region }) => generateCVHTML(localizeCVDates(cvData, language), template, { language, region }),
+    renderLetter: (title, text, cvData, options) => generateTextHTML(title, withSubject(text, options), cvData, options),
+  },
+  txt: {
+    id: "txt",
+    name: "Plain text (ATS)",
+    extension: "txt",
+    mimeType: "text/plain",
+    renderCV: (cvData, { language, region }) => generateCVText(localizeCVDates(cvData, language), { language, region }),
+    renderLetter: (title, text, cvData, options) => generateTextPlain(title, withSubject(text, options)),
+  },
+};
+
+const DEFAULT_FORMAT = "docx";
+
+function getFormat(id) {
+  const key = id || DEFAULT_FORMAT;
+  return Object.hasOwn(FORMATS, key) ? FORMATS[key] : null;
+}
+
+// Accept one format id or a list of them; returns { formats } (deduplicated, in request order) or { error }
+function resolveFormats(value) {
+  const requested = [].concat(value === undefined || value === null || value === "" ? DEFAULT_FORMAT : value);
+  const formats = [...new Set(requested)];
+  if (!formats.length) return { error: "Choose at least one output format" };
+  const unknown = formats.find((id) => !Object.hasOwn(FORMATS, id));
+  if (unknown !== undefined) return { error: `Unsupported format "${unknown}"` };
+  return { formats };
+}
+
+function listFormats() {
+  return Object.values(FORMATS).map(({ id, name, extension, mimeType }) => ({ id, name, extension, mimeType }));
+}
+
+module.exports = { FORMATS, DEFAULT_FORMAT, getFormat, resolveFormats, listFormats };
@@ -0,0 +1,140 @@
+// Standalone, print-styled HTML pages: inline CSS only, so the file opens and prints anywhere
+const { getSectionLayout } = require("./templates");
+const { getLanguage, formatLetterDate } = require("./i18n");
+const { personalDetails } = require("./regions");
+const { skillGroups, listDetail, resolveSections } = require("./cv-sections");
+
+const escape = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const fontStack = (t) => (/times/i.test(t.fonts.docx) ? `"${t.fonts.docx}", Times, serif` : `"${t.fonts.docx}", Helvetica, Arial, sans-serif`);
+
+// A job-like entry: "title | subtitle", meta line, text and bullets
+function renderEntry(entry) {
+  const bullets = entry.bullets.map((bullet) => `<li>${escape(bullet)}</li>`).join("");
+  const subtitle = entry.subtitle ? `<span class="separator">|</span><em>${escape(entry.subtitle)}</em>` : "";
+  return `<div class="entry"><div class="entry-title"><strong>${escape(entry.title)}</strong>${subtitle}</div>${entry.meta ? `<div class="meta">${escape(entry.meta)}</div>` : ""}${entry.text ? `<p>${escape(entry.text)}</p>` : ""}${bullets ? `<ul>${bullets}</ul>` : ""}</div>`;
+}
+
+// Section renderers keyed by layout (see cv-sections.js); each returns an HTML fragment.
+// section is { id, title, layout, entries }
+const SECTION_RENDERERS = {
+  summary: (cvData) => `<p>${escape(cvData.summary)}</p>`,
+  experience: (cvData) =>
+    cvData.experience
+      .map((job) => renderEntry({ title: job.title, subtitle: job.company, meta: [job.location, job.dates].filter(Boolean).join(" | "), bullets: job.achievements }))
+      .join(""),
+  // One line per group in the main column ("Cloud: AWS • Terraform"), a list per group in the sidebar
+  skills: (cvData, sidebar) =>
+    skillGroups(cvData)
+      .map((group) => {
+        const category = group.category ? `<strong>${escape(group.category)}${sidebar ? "" : ":"}</strong>` : "";
+        return sidebar
+          ? `${category ? `<div class="entry-title">${category}</div>` : ""}<ul class="skills">${group.items.map((skill) => `<li>${escape(skill)}</li>`).join("")}</ul>`
+          : `<p>${category ? `${category} ` : ""}${group.items.map(escape).join(" &bull; ")}</p>`;
+      })
+      .join(""),
+  education: (cvData) =>
+    cvData.education
+      .map((edu) => {
+        const meta = [edu.institution, edu.dates].filter(Boolean).map(escape).join(" | ");
+        return `<div class="entry"><div class="entry-title"><strong>${escape(edu.degree)}</strong></div><div class="meta">${meta}</div>${edu.details ? `<p>${escape(edu.details)}</p>` : ""}</div>`;
+      })
+      .join(""),
+  entries: (cvData, sidebar, section) => section.entries.map(renderEntry).join(""),
+  // "AWS Certified Developer — Amazon Web Services, 2023"
+  list: (cvData, sidebar, section) =>
+    `<ul class="list">${section.entries
+      .map((entry) => {
+        const detail = escape(listDetail(entry));
+        return `<li>${entry.title ? `<strong>${escape(entry.title)}</strong>${detail ? ` — ${detail}` : ""}` : detail}</li>`;
+      })
+      .join("")}</ul>`,
+};
+
+function renderColumn(sections, cvData, sidebar, titles) {
+  return resolveSections(sections, cvData, titles)
+    .map((section) => `<section><h2>${escape(section.title)}</h2>${SECTION_RENDERERS[section.layout](cvData, sidebar, section)}</section>`)
+    .join("");
+}
+
+function styles(t) {
+  return `
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; background: #f4f4f4; color: ${t.colors.text}; font-family: ${fontStack(t)}; font-size: ${t.sizes.body}pt; line-height: 1.4; }
+    .page { max-width: 210mm; margin: 24px auto; padding: 18mm; background: #fff; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08); }
+    header { text-align: ${t.header.align}; ${t.header.rule ? `border-bottom: 2px solid ${t.colors.primary}; padding-bottom: 10px;` : ""} margin-bottom: 16px; }
+    h1 { margin: 0 0 4px; color: ${t.colors.primary}; font-size: ${t.sizes.name}pt; ${t.header.uppercaseName ? "text-transform: uppercase;" : ""} }
+    .contact { color: ${t.colors.contact}; font-size: ${t.sizes.contact}pt; }
+    h2 { margin: ${14 * t.spacing}px 0 8px; padding-bottom: 3px; border-bottom: 1px solid ${t.colors.rule}; color: ${t.colors.primary}; font-size: ${t.sizes.heading}pt; }
+    .entry { margin-bottom: ${10 * t.spacing}px; page-break-inside: avoid; }
+    .entry-title { font-size: ${t.sizes.title}pt; }
+    .separator { margin: 0 6px; color: ${t.colors.separator}; }
+    .meta { color: ${t.colors.muted}; font-size: ${t.sizes.meta}pt; }
+    ul { margin: 4px 0 0; padding-left: 18px; }
+    ul.skills { padding-left: 16px; }
+    ul.list { margin: 0 0 6px; }
+    p { margin: 0 0 6px; }
+    .columns { display: grid; grid-template-columns: ${Math.round((t.sidebarWidth || 0) * 100)}% 1fr; gap: 24px; }
+    .letter p { margin: 0 0 12px; white-space: pre-line; }
+    .letter .date { color: ${t.colors.contact}; margin-bottom: 18px; }
+    @media print { body { background: none; } .page { margin: 0; padding: 0; max-width: none; box-shadow: none; } }`;
+}
+
+function page(title, t, body, language) {
+  return Buffer.from(`<!DOCTYPE html>
+<html lang="${getLanguage(language).id}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(title)}</title>
+<style>${styles(t)}
+</style>
+</head>
+<body>
+<div class="page">
+${body}
+</div>
+</body>
+</html>
+`);
+}
+
+// details: extra [label, value] pairs shown under the contact line (date of birth, nationality...)
+function renderHeader(info, fields, details = []) {
+  const contact = fields.map((key) => info[key]).filter(Boolean).map(escape).join(" | ");
+  const extra = details.map(([label, value]) => `${escape(label)}: ${escape(value)}`).join(" | ");
+  return `<header><h1>${escape(info.fullName)}</h1><div class="contact">${contact}</div>${extra ? `<div class="contact">${extra}</div>` : ""}</header>`;
+}
+
+async function generateCVHTML(cvData, template, { language, region } = {}) {
+  const t = template;
+  const layout = getSectionLayout(t);
+  const { sections: titles, documents } = getLanguage(language);
+  const details = personalDetails(cvData.personalInfo, region, language);
+  const header = renderHeader(cvData.personalInfo, ["email", "phone", "location", "linkedin"], details);
+  const body = layout.sidebar.length
+    ? `<div class="columns"><aside>${renderColumn(layout.sidebar, cvData, true, titles)}</aside><main>${renderColumn(layout.main, cvData, false, titles)}</main></div>`
+    : renderColumn(layout.main, cvData, false, titles);
+  return page(`${cvData.personalInfo.fullName} - ${documents.cv}`, t, `${header}\n${body}`, language);
+}
+
+// Letters mirror the DOCX layout: header, date, optional recipient, paragraphs with their line breaks
+async function generateTextHTML(title, body, cvData, { recipient, template, language } = {}) {
+  const info = cvData.personalInfo;
+  const date = formatLetterDate(language);
+  if (recipient === undefined) recipient = getLanguage(language).recipient;
+  const paragraphs = body
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .filter((block) => block.trim())
+    .map((block) => `<p>${escape(block.trim())}</p>`);
+  const recipientLines = [].concat(recipient).filter(Boolean).map(escape).join("<br>");
+
+  const content = `${renderHeader(info, ["email", "phone", "location"])}
+<div class="letter"><div class="date">${date}</div>${recipientLines ? `<p>${recipientLines}</p>` : ""}${paragraphs.join("")}</div>`;
+  return page(`${info.fullName} - ${title}`, template, content, language);
+}
+
+module.exports = { generateCVHTML, generateTextHTML };
@@ -0,0 +1,191 @@
+// Output languages: headings, labels and dates for every renderer, the prompt instruction that makes the LLM
+// write in the language, and a light detector for the language a source CV is written in.
+const LANGUAGES = {
+  en: {
+    id: "en",
+    name: "English",
+    nativeName: "English",
+    locale: "en-GB",
+    sections: {
+      summary: "PROFESSIONAL SUMMARY",
+      experience: "PROFESSIONAL EXPERIENCE",
+      skills: "SKILLS",
+      education: "EDUCATION",
+      projects: "PROJECTS",
+      certifications: "CERTIFICATIONS",
+      languages: "LANGUAGES",
+      publications: "PUBLICATIONS",
+      volunteering: "VOLUNTEERING",
+      awards: "AWARDS",
+    },
+    documents: { cv: "CV", coverLetter: "Cover Letter", email: "Application Email" },
+    contact: { email: "Email", phone: "Phone", location: "Location", linkedin: "LinkedIn" },
+    personal: { heading: "PERSONAL DETAILS", name: "Name", dateOfBirth: "Date of birth", placeOfBirth: "Place of birth", nationality: "Nationality", maritalStatus: "Marital status" },
+    recipient: "Hiring Manager",
+    subject: "Subject",
+    present: "Present",
+    pageNumber: "page {page} of {pages}",
+  },
+  fr: {
+    id: "fr",
+    name: "French",
+    nativeName: "Français",
+    locale: "fr-FR",
+    sections: {
+      summary: "PROFIL PROFESSIONNEL",
+      experience: "EXPÉRIENCE PROFESSIONNELLE",
+      skills: "COMPÉTENCES",
+      education: "FORMATION",
+      projects: "PROJETS",
+      certifications: "CERTIFICATIONS",
+      languages: "LANGUES",
+      publications: "PUBLICATIONS",
+      volunteering: "BÉNÉVOLAT",
+      awards: "DISTINCTIONS",
+    },
+    documents: { cv: "CV", coverLetter: "Lettre de motivation", email: "E-mail de candidature" },
+    contact: { email: "E-mail", phone: "Téléphone", location: "Adresse", linkedin: "LinkedIn" },
+    personal: { heading: "INFORMATIONS PERSONNELLES", name: "Nom", dateOfBirth: "Date de naissance", placeOfBirth: "Lieu de naissance", nationality: "Nationalité", maritalStatus: "Situation familiale" },
+    recipient: "Service du recrutement",
+    subject: "Objet",
+    present: "aujourd'hui",
+    pageNumber: "page {page} sur {pages}",
+  },
+  de: {
+    id: "de",
+    name: "German",
+    nativeName: "Deutsch",
+    locale: "de-DE",
+    sections: {
+      summary: "PROFIL",
+      experience: "BERUFSERFAHRUNG",
+      skills: "KENNTNISSE",
+      education: "AUSBILDUNG",
+      projects: "PROJEKTE",
+      certifications: "ZERTIFIKATE",
+      languages: "SPRACHEN",
+      publications: "PUBLIKATIONEN",
+      volunteering: "EHRENAMT",
+      awards: "AUSZEICHNUNGEN",
+    },
+    documents: { cv: "Lebenslauf", coverLetter: "Anschreiben", email: "Bewerbungs-E-Mail" },
+    contact: { email: "E-Mail", phone: "Telefon", location: "Wohnort", linkedin: "LinkedIn" },
+    personal: { heading: "PERSÖNLICHE DATEN", name: "Name", dateOfBirth: "Geburtsdatum", placeOfBirth: "Geburtsort", nationality: "Staatsangehörigkeit", maritalStatus: "Familienstand" },
+    recipient: "Personalabteilung",
+    subject: "Betreff",
+    present: "heute",
+    pageNumber: "Seite {page} von {pages}",
+  },
+  es: {
+    id: "es",
+    name: "Spanish",
+    nativeName: "Español",
+    locale: "es-ES",
+    sections: {
+      summary: "PERFIL PROFESIONAL",
+      experience: "EXPERIENCIA PROFESIONAL",
+      skills: "COMPETENCIAS",
+      education: "FORMACIÓN",
+      projects: "PROYECTOS",
+      certifications: "CERTIFICACIONES",
+      languages: "IDIOMAS",
+      publications: "PUBLICACIONES",
+      volunteering: "VOLUNTARIADO",
+      awards: "PREMIOS",
+    },
+    documents: { cv: "CV", coverLetter: "Carta de presentación", email: "Correo de candidatura" },
+    contact: { email: "Correo electrónico", phone: "Teléfono", location: "Ubicación", linkedin: "LinkedIn" },
+    personal: { heading: "DATOS PERSONALES", name: "Nombre", dateOfBirth: "Fecha de nacimiento", placeOfBirth: "Lugar de nacimiento", nationality: "Nacionalidad", maritalStatus: "Estado civil" },
+    recipient: "Departamento de Selección",
+    subject: "Asunto",
+    present: "actualidad",
+    pageNumber: "página {page} de {pages}",
+  },
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+// Frequent words that give a language away; shared words ("de", "la", "en") are fine, the totals still differ
+const STOPWORDS = {
+  en: ["the", "and", "of", "to", "with", "for", "on", "at", "from", "experience", "skills", "responsible", "managed", "years"],
+  fr: ["le", "les", "des", "et", "du", "pour", "avec", "dans", "une", "sur", "expérience", "compétences", "gestion", "ans"],
+  de: ["der", "die", "das", "und", "mit", "für", "von", "zu", "im", "bei", "eine", "erfahrung", "kenntnisse", "jahre"],
+  es: ["el", "los", "las", "y", "del", "para", "con", "una", "por", "en", "experiencia", "habilidades", "gestión", "años"],
+};
+const MIN_STOPWORD_HITS = 8;
+
+const ENGLISH_MONTH = /\b(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\b\.?/gi;
+const MONTH_PREFIXES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const PRESENT = /\b(?:present|current|now|today|ongoing)\b/gi;
+
+function getLanguage(id) {
+  const key = id || DEFAULT_LANGUAGE;
+  return Object.hasOwn(LANGUAGES, key) ? LANGUAGES[key] : null;
+}
+
+function listLanguages() {
+  return Object.values(LANGUAGES).map(({ id, name, nativeName }) => ({ id, name, nativeName }));
+}
+
+// "19 October 2026", "19 octobre 2026", "19. Oktober 2026", "19 de octubre de 2026"
+function formatLetterDate(language, date = new Date()) {
+  return date.toLocaleDateString(getLanguage(language).locale, { day: "numeric", month: "long", year: "numeric" });
+}
+
+// English month names and "Present" in a date range become the target language's ("Jan 2020 - Present" ->
+// "janv. 2020 - aujourd'hui"); anything else is left as written
+function localizeDates(text, language) {
+  const lang = getLanguage(language);
+  if (!text || lang.id === "en") return text;
+  return String(text)
+    .replace(ENGLISH_MONTH, (match, name) => {
+      const month = MONTH_PREFIXES.indexOf(name.slice(0, 3).toLowerCase());
+      const style = name.length > 4 || name.toLowerCase() === "may" ? "long" : "short";
+      return new Date(Date.UTC(2000, month, 1)).toLocaleDateString(lang.locale, { month: style, timeZone: "UTC" });
+    })
+    .replace(PRESENT, lang.present);
+}
+
+function localizeCVDates(cvData, language) {
+  if (getLanguage(language).id === "en") return cvData;
+  return {
+    ...cvData,
+    experience: cvData.experience.map((job) => ({ ...job, dates: localizeDates(job.dates, language) })),
+    education: cvData.education.map((edu) => ({ ...edu, dates: localizeDates(edu.dates, language) })),
+    projects: cvData.projects.map((project) => ({ ...project, dates: localizeDates(project.dates, language) })),
+    volunteering: cvData.volunteering.map((role) => ({ ...role, dates: localizeDates(role.dates, language) })),
+    ...Object.fromEntries(
+      ["certifications", "publications", "awards"].map((key) => [key, cvData[key].map((item) => ({ ...item, date: localizeDates(item.date, language) }))])
+    ),
+  };
+}
+
+// Prompt rule: write in the target language whatever language the CV and the job ad are in
+function languageInstruction(language) {
+  const lang = getLanguage(language);
+  return `Write everything in ${lang.name}. The original CV or the job description may be in another language: translate the content, but keep names of people, employers, institutions and products, email addresses and URLs exactly as written. Write dates in ${lang.name} too (e.g. "${localizeDates("Jan 2020 - Present", lang.id)}").`;
+}
+
+// Best-guess language id of a text, or null when there is too little to tell
+function detectLanguage(text) {
+  const counts = {};
+  for (const word of String(text || "").toLowerCase().match(/\p{L}+/gu) || []) {
+    for (const [id, words] of Object.entries(STOPWORDS)) {
+      if (words.includes(word)) counts[id] = (counts[id] || 0) + 1;
+    }
+  }
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best && best[1] >= MIN_STOPWORD_HITS ? best[0] : null;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguage,
+  listLanguages,
+  formatLetterDate,
+  localizeDates,
+  localizeCVDates,
+  languageInstruction,
+  detectLanguage,
+};
@@ -0,0 +1,265 @@
+// Job descriptions from job-posting pages: schema.org JobPosting JSON-LD first, readability-style
+// extraction of the main content block otherwise. extractJobPosting is pure, so saved pages can be replayed.
+const dns = require("dns").promises;
+const net = require("net");
+const axios = require("axios");
+const cheerio = require("cheerio");
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = "Mozilla/5.0 (compatible; MagicCV/1.0; +job-posting-import)";
+// Set for local testing only: lets posting URLs reach localhost and private networks
+const ALLOW_PRIVATE_HOSTS = process.env.JOB_POSTING_ALLOW_PRIVATE === "true";
+
+// Addresses a posting URL must not reach, so the importer cannot be pointed at the server's own network:
+// loopback, private, shared (CGNAT), link-local (cloud metadata), multicast and reserved ranges.
+// BlockList checks IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+// Never part of a posting's text
+const REMOVED = "script, style, noscript, template, svg, iframe, form, button, input, select, textarea, nav, footer, aside, dialog, [role=navigation], [role=banner], [role=contentinfo], [role=dialog], [role=alertdialog], [aria-hidden=true], [hidden]";
+// Class/id hints used by readability: drop cookie banners, menus and widgets unless they look like the content itself
+const UNLIKELY = /cookie|consent|gdpr|banner|newsletter|subscribe|signup|modal|popup|share|social|breadcrumb|related|recommend|similar|sidebar|menu|navbar|footer|masthead|promo|advert|sponsor/i;
+const LIKELY = /job|posting|vacanc|description|content|article|main|detail/i;
+
+const BLOCK_TAGS = new Set(["address", "article", "blockquote", "dd", "div", "dl", "dt", "h1", "h2", "h3", "h4", "h5", "h6", "header", "li", "main", "ol", "p", "pre", "section", "table", "tr", "ul"]);
+// Blocks followed by a blank line in the extracted text
+const PARAGRAPH_TAGS = new Set(["blockquote", "h1", "h2", "h3", "h4", "h5", "h6", "ol", "p", "pre", "table", "ul"]);
+const MIN_PARAGRAPH_CHARS = 25;
+
+class JobPostingError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = "JobPostingError";
+    this.status = status;
+  }
+}
+
+const clean = (text) => String(text || "").replace(/\s+/g, " ").trim();
+
+// Block structure survives as lines: paragraphs and lists separated by blank lines, list items as "- " bullets
+function nodeToText(root) {
+  const lines = [];
+  let current = "";
+  const flush = () => {
+    const line = clean(current);
+    if (line && line !== "-") lines.push(line);
+    current = "";
+  };
+  const walk = (node) => {
+    if (node.type === "text") {
+      current += node.data;
+      return;
+    }
+    if (node.type === "root") return node.children.forEach(walk);
+    if (node.type !== "tag") return;
+    if (node.name === "br") return flush();
+    const block = BLOCK_TAGS.has(node.name);
+    if (block) flush();
+    if (node.name === "li") current += "- ";
+    (node.children || []).forEach(walk);
+    if (block) flush();
+    if (PARAGRAPH_TAGS.has(node.name)) lines.push("");
+  };
+  [].concat(root).forEach(walk);
+  return lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// JSON-LD descriptions are HTML, sometimes entity-escaped a second time
+function htmlToText(html) {
+  let $ = cheerio.load(String(html || ""), null, false);
+  if (!$("*").length && /<[a-z][^>]*>/i.test($.text())) $ = cheerio.load($.text(), null, false);
+  return nodeToText($.root().get(0));
+}
+
+function findJobPosting(node) {
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJobPosting(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!node || typeof node !== "object") return null;
+  if ([].concat(node["@type"] || []).includes("JobPosting")) return node;
+  return findJobPosting(node["@graph"]) || findJobPosting(node.mainEntity);
+}
+
+function readJsonLd($) {
+  for (const script of $('script[type="application/ld+json"]').toArray()) {
+    const raw = $(script).text();
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      // Raw line breaks inside strings are a common authoring mistake
+      try {
+        data = JSON.parse(raw.replace(/[\r\n\t]+/g, " "));
+      } catch {
+        continue;
+      }
+    }
+    const posting = findJobPosting(data);
+    if (posting) return posting;
+  }
+  return null;
+}
+
+const nameOf = (value) => clean(value && typeof value === "object" ? value.name : value);
+
+function formatLocation(posting) {
+  const places = [].concat(posting.jobLocation || []).map((place) => {
+    const address = (place && place.address) || place;
+    if (!address || typeof address !== "object") return clean(address);
+    return [address.addressLocality, address.addressRegion, nameOf(address.addressCountry)].map(clean).filter(Boolean).join(", ");
+  });
+  if ([].concat(posting.jobLocationType || []).includes("TELECOMMUTE")) places.push("Remote");
+  return [...new Set(places.filter(Boolean))].join("; ");
+}
+
+function fromJsonLd(posting) {
+  return {
+    title: clean(posting.title),
+    company: nameOf(posting.hiringOrganization),
+    location: formatLocation(posting),
+    description: htmlToText(posting.description),
+  };
+}
+
+const linkDensity = ($, el) => {
+  const textLength = clean($(el).text()).length;
+  return textLength ? clean($(el).find("a").text()).length / textLength : 1;
+};
+
+// Readability-style: every substantial paragraph scores its container (and half for the one above it);
+// the best container, discounted by how much of it is link text, is the posting body
+function findContentRoot($) {
+  $(REMOVED).remove();
+  $("[class], [id]").each((i, el) => {
+    const hints = `${$(el).attr("class") || ""} ${$(el).attr("id") || ""}`;
+    if (UNLIKELY.test(hints) && !LIKELY.test(hints) && !$(el).is("body, main, article")) $(el).remove();
+  });
+
+  const scores = new Map();
+  const addScore = (el, score) => el && el.type === "tag" && scores.set(el, (scores.get(el) || 0) + score);
+  $("p, li, pre, td, dd").each((i, el) => {
+    const text = clean($(el).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+    const score = 1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+    // List items belong to the block that holds the list, not to the list itself
+    const container = /^(li|td|dd)$/.test(el.name) ? $(el).closest("ul, ol, table, dl").parent()[0] : el.parent;
+    addScore(container, score);
+    addScore(container && container.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  return best || $("main, article, [role=main]").get(0) || $("body").get(0) || $.root().get(0);
+}
+
+function fromReadability($) {
+  const meta = (name) => clean($(`meta[property="${name}"], meta[name="${name}"]`).attr("content"));
+  const title = clean($("h1").first().text()) || meta("og:title") || clean($("title").first().text());
+  const company = meta("og:site_name");
+  const lines = nodeToText(findContentRoot($)).split("\n");
+  // The heading usually sits above the content block; drop it if it was picked up anyway
+  if (clean(lines[0]) === title) lines.shift();
+  return { title, company, location: "", description: lines.join("\n").trim() };
+}
+
+// Returns { title, company, location, description, source: "json-ld" | "readability", url }
+function extractJobPosting(html, { url = "" } = {}) {
+  const $ = cheerio.load(String(html || ""));
+  const posting = readJsonLd($);
+  if (posting) {
+    const result = fromJsonLd(posting);
+    // Some boards ship JSON-LD with only metadata; keep it and read the description from the page
+    if (result.description) return { ...result, source: "json-ld", url };
+    const fallback = fromReadability($);
+    return { ...result, title: result.title || fallback.title, description: fallback.description, source: "readability", url };
+  }
+  return { ...fromReadability($), source: "readability", url };
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return Boolean(family) && BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// IP literals never go through DNS, so they are checked on the URL itself (also for every redirect hop)
+function assertPublicHost(hostname) {
+  if (!ALLOW_PRIVATE_HOSTS && isBlockedAddress(hostname.replace(/^\[|\]$/g, ""))) {
+    throw new JobPostingError("Job posting URLs must point to a public website", 400);
+  }
+}
+
+// DNS lookup for axios that refuses names resolving to a blocked address
+async function publicLookup(hostname, options) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+  if (!ALLOW_PRIVATE_HOSTS && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new JobPostingError("Job posting URLs must point to a public website", 400);
+  }
+  return addresses;
+}
+
+async function fetchJobPosting(url) {
+  let target;
+  try {
+    target = new URL(String(url || "").trim());
+  } catch {
+    throw new JobPostingError("Enter a valid job posting URL", 400);
+  }
+  if (!["http:", "https:"].includes(target.protocol)) {
+    throw new JobPostingError("Only http and https job posting URLs are supported", 400);
+  }
+  assertPublicHost(target.hostname);
+
+  let response;
+  try {
+    response = await axios.get(target.href, {
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_PAGE_BYTES,
+      maxRedirects: MAX_REDIRECTS,
+      responseType: "text",
+      lookup: publicLookup,
+      beforeRedirect: (options) => assertPublicHost(options.hostname),
+      headers: { "User-Agent": USER_AGENT, Accept: "text/html,application/xhtml+xml" },
+    });
+  } catch (err) {
+    // A blocked host surfaces wrapped by axios (and by follow-redirects for redirect hops)
+    for (let cause = err; cause; cause = cause.cause) {
+      if (cause instanceof JobPostingError) throw cause;
+    }
+    const message = err.response ? `the page returned HTTP ${err.response.status}` : err.message;
+    throw new JobPostingError(`Could not fetch the job posting (${message})`, 502);
+  }
+
+  const contentType = String(response.headers["content-type"] || "");
+  if (contentType && !/html|xml/i.test(contentType)) {
+    throw new JobPostingError(`Expected an HTML page but got ${contentType.split(";")[0]}`, 415);
+  }
+  const posting = extractJobPosting(response.data, { url: target.href });
+  if (!posting.description) {
+    throw new JobPostingError("No job description found on that page. It may need JavaScript to load; paste the description instead.", 422);
+  }
+  return posting;
+}
+
+module.exports = { JobPostingError, extractJobPosting, fetchJobPosting };
@@ -0,0 +1,157 @@
+// Background jobs: submit work, follow it by polling or subscribing, fetch the result when it is done.
+// Jobs run in-process with a concurrency cap, a time limit and cancellation through an AbortSignal.
+// With a store (see store.js) job records and results also survive restarts.
+const crypto = require("crypto");
+
+const TERMINAL = new Set(["succeeded", "failed", "cancelled"]);
+const MAX_EVENTS = 200;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class JobTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+    this.name = "JobTimeoutError";
+  }
+}
+
+class JobCancelledError extends Error {
+  constructor() {
+    super("Cancelled");
+    this.name = "JobCancelledError";
+  }
+}
+
+// store: optional JSON store for records; retentionMs: how long finished jobs stay available
+function createJobQueue({ concurrency = 2, timeoutMs = 10 * 60 * 1000, retentionMs = 24 * 60 * 60 * 1000, store = null } = {}) {
+  const jobs = new Map();
+  const queue = [];
+  let running = 0;
+
+  // Jobs cut off by a restart cannot resume: their inputs (uploads, abort handles) only lived in memory
+  if (store) {
+    for (const record of store.list()) {
+      if (!TERMINAL.has(record.status)) {
+        store.update(record.id, { status: "failed", error: "Interrupted by a server restart", finishedAt: new Date().toISOString() });
+      }
+    }
+  }
+
+  const publicRecord = (job) => ({
+    ...job.record,
+    position: job.record.status === "queued" ? queue.indexOf(job) + 1 : null,
+  });
+
+  const save = (job) => {
+    if (store) store.update(job.record.id, job.record);
+  };
+
+  const emit = (job, event, data) => {
+    job.events.push({ event, data });
+    if (job.events.length > MAX_EVENTS) job.events.shift();
+    for (const listener of job.listeners) listener(event, data);
+  };
+
+  const setStatus = (job, status, changes = {}) => {
+    Object.assign(job.record, changes, { status });
+    save(job);
+    emit(job, "status", publicRecord(job));
+  };
+
+  const finish = (job, status, changes) => {
+    clearTimeout(job.timer);
+    setStatus(job, status, { ...changes, finishedAt: new Date().toISOString() });
+    job.listeners.clear();
+    if (job.cleanup) Promise.resolve().then(job.cleanup).catch(() => {});
+  };
+
+  const next = () => {
+    while (running < concurrency && queue.length) start(queue.shift());
+  };
+
+  async function start(job) {
+    running++;
+    const { signal } = job.controller;
+    job.timer = setTimeout(() => job.controller.abort(new JobTimeoutError(timeoutMs)), timeoutMs);
+    setStatus(job, "running", { startedAt: new Date().toISOString() });
+    try {
+      const result = await job.run(signal, (event, data) => emit(job, event, data));
+      signal.throwIfAborted();
+      finish(job, "succeeded", { result });
+    } catch (err) {
+      const reason = signal.aborted ? signal.reason : err;
+      finish(job, reason instanceof JobCancelledError ? "cancelled" : "failed", { error: reason.message, details: reason.errors || undefined });
+    } finally {
+      running--;
+      next();
+    }
+  }
+
+  // Finished jobs are dropped after retentionMs, from memory and from the store
+  const sweep = () => {
+    const cutoff = Date.now() - retentionMs;
+    const expired = (record) => TERMINAL.has(record.status) && Date.parse(record.finishedAt) < cutoff;
+    for (const [id, job] of jobs) if (expired(job.record)) jobs.delete(id);
+    if (store) store.list().filter(expired).forEach((record) => store.remove(record.id));
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    // run(signal, report) resolves to the job's result; report(event, data) publishes progress to subscribers.
+    // cleanup() runs once the job has finished, however it finished (even when cancelled before starting).
+    submit({ type, meta = {}, run, cleanup = null }) {
+      const base = { type, meta, status: "queued", result: null, error: null, startedAt: null, finishedAt: null };
+      const record = store ? store.insert(base) : { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...base };
+      const job = { record, run, cleanup, controller: new AbortController(), events: [], listeners: new Set(), timer: null };
+      jobs.set(record.id, job);
+      queue.push(job);
+      emit(job, "status", publicRecord(job));
+      next();
+      return publicRecord(job);
+    },
+
+    // In-memory jobs first, then (with a store) jobs from before a restart
+    get(id) {
+      const job = jobs.get(id);
+      if (job) return publicRecord(job);
+      return store ? store.get(id) : null;
+    },
+
+    list() {
+      const records = [...jobs.values()].map(publicRecord);
+      if (store) records.push(...store.list().filter((record) => !jobs.has(record.id)));
+      return records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // listener(event, data) gets every event so far, then live ones until the job finishes; returns unsubscribe,
+    // or null for unknown jobs. Finished jobs replay their events and the listener is not kept.
+    subscribe(id, listener) {
+      const job = jobs.get(id);
+      if (!job) {
+        const record = store ? store.get(id) : null;
+        if (!record) return null;
+        listener("status", record);
+        return () => {};
+      }
+      job.events.forEach(({ event, data }) => listener(event, data));
+      if (TERMINAL.has(job.record.status)) return () => {};
+      job.listeners.add(listener);
+      return () => job.listeners.delete(listener);
+    },
+
+    // Returns the updated record, null for unknown jobs, or false when the job had already finished
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return store && store.get(id) ? false : null;
+      if (TERMINAL.has(job.record.status)) return false;
+      if (job.record.status === "queued") {
+        queue.splice(queue.indexOf(job), 1);
+        finish(job, "cancelled", { error: "Cancelled" });
+      } else {
+        job.controller.abort(new JobCancelledError());
+      }
+      return publicRecord(job);
+    },
+  };
+}
+
+module.exports = { createJobQueue, JobCancelledError, JobTimeoutError, TERMINAL };
@@ -0,0 +1,189 @@
+// JSON Resume (https://jsonresume.org/schema) <-> structured CV mapping
+const { validateCV, CVValidationError } = require("./cv-schema");
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const SCHEMA_URL = "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// A parsed JSON document counts as JSON Resume if it has the schema's top-level sections
+function isJsonResume(data) {
+  return Boolean(data) && typeof data === "object" && !Array.isArray(data) && (typeof data.basics === "object" || Array.isArray(data.work));
+}
+
+// ISO-8601 partial dates ("2019", "2019-03", "2019-03-01") -> "2019" / "Mar 2019"
+function formatDate(value) {
+  const match = /^(\d{4})(?:-(\d{2}))?/.exec(String(value || "").trim());
+  if (!match) return String(value || "").trim();
+  const month = match[2] ? MONTHS[Number(match[2]) - 1] : null;
+  return month ? `${month} ${match[1]}` : match[1];
+}
+
+function formatRange(startDate, endDate) {
+  if (!startDate) return endDate ? formatDate(endDate) : "";
+  if (endDate && formatDate(startDate) === formatDate(endDate)) return formatDate(startDate);
+  return `${formatDate(startDate)} - ${endDate ? formatDate(endDate) : "Present"}`;
+}
+
+function formatLocation(location) {
+  if (!location) return "";
+  if (typeof location === "string") return location;
+  return [location.city, location.region, location.countryCode].filter(Boolean).join(", ");
+}
+
+// Map JSON Resume to the CV schema; throws CVValidationError if required fields are missing
+function fromJsonResume(resume) {
+  const basics = resume.basics || {};
+  const linkedin = (basics.profiles || []).find((p) => /linkedin/i.test(p.network || p.url || ""));
+
+  // A skill with keywords is a category ("Cloud": AWS, Terraform); bare skills share one uncategorised group
+  const loose = [];
+  const groups = [];
+  for (const skill of resume.skills || []) {
+    if (skill.keywords && skill.keywords.length) groups.push({ category: skill.name || "", items: skill.keywords });
+    else if (skill.name && !loose.includes(skill.name)) loose.push(skill.name);
+  }
+  // "Chess: openings, endgames"
+  const interests = (resume.interests || []).map((interest) => [interest.name, (interest.keywords || []).join(", ")].filter(Boolean).join(": "));
+
+  const data = {
+    personalInfo: {
+      fullName: basics.name,
+      email: basics.email,
+      phone: basics.phone,
+      location: formatLocation(basics.location),
+      linkedin: linkedin ? linkedin.url || linkedin.username : basics.url,
+    },
+    summary: basics.summary,
+    experience: (resume.work || []).map((job) => ({
+      title: job.position,
+      company: job.name || job.company,
+      location: formatLocation(job.location),
+      dates: formatRange(job.startDate, job.endDate),
+      achievements: job.highlights && job.highlights.length ? job.highlights : [job.summary].filter(Boolean),
+    })),
+    skills: loose.length ? [{ category: "", items: loose }, ...groups] : groups,
+    education: (resume.education || []).map((edu) => ({
+      degree: [edu.studyType, edu.area].filter(Boolean).join(" in "),
+      institution: edu.institution,
+      dates: formatRange(edu.startDate, edu.endDate),
+      details: [edu.score && `Grade: ${edu.score}`, (edu.courses || []).join(", ")].filter(Boolean).join(". "),
+    })),
+    projects: (resume.projects || []).map((project) => ({
+      name: project.name,
+      role: (project.roles || []).join(", "),
+      dates: formatRange(project.startDate, project.endDate),
+      link: project.url,
+      description: project.description,
+      highlights: project.highlights,
+    })),
+    certifications: (resume.certificates || []).map((cert) => ({ name: cert.name, issuer: cert.issuer, date: formatDate(cert.date) })),
+    languages: (resume.languages || []).map((lang) => ({ language: lang.language, proficiency: lang.fluency })),
+    publications: (resume.publications || []).map((pub) => ({
+      title: pub.name,
+      publisher: pub.publisher,
+      date: formatDate(pub.releaseDate),
+      link: pub.url,
+    })),
+    volunteering: (resume.volunteer || []).map((role) => ({
+      role: role.position,
+      organization: role.organization,
+      dates: formatRange(role.startDate, role.endDate),
+      achievements: role.highlights && role.highlights.length ? role.highlights : [role.summary].filter(Boolean),
+    })),
+    awards: (resume.awards || []).map((award) => ({ title: award.title, issuer: award.awarder, date: formatDate(award.date) })),
+    customSections: interests.length ? [{ title: "Interests", items: interests }] : [],
+  };
+
+  const { value, errors } = validateCV(data);
+  if (errors.length) throw new CVValidationError("The JSON Resume is missing required fields", errors);
+  return value;
+}
+
+// "Mar 2019", "March 2019", "03/2019", "2019-03" or "2019" -> ISO-8601 partial date; null if not a date
+function parseDate(value) {
+  const text = String(value || "").trim();
+  let match;
+  if ((match = /^(\d{4})(?:-(\d{1,2}))?(?:-\d{1,2})?$/.exec(text))) {
+    return match[2] ? `${match[1]}-${match[2].padStart(2, "0")}` : match[1];
+  }
+  if ((match = /^(\d{1,2})[/.](\d{4})$/.exec(text))) return `${match[2]}-${match[1].padStart(2, "0")}`;
+  if ((match = /^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i.exec(text))) {
+    const month = MONTHS.findIndex((m) => m.toLowerCase() === match[1].toLowerCase());
+    return month === -1 ? null : `${match[2]}-${String(month + 1).padStart(2, "0")}`;
+  }
+  return null;
+}
+
+// "Jan 2019 - Present" -> { startDate: "2019-01" }; unparseable parts are left out rather than guessed
+function parseRange(dates) {
+  const [start, end] = String(dates || "").split(/\s+(?:-|–|—|to)\s+|\s*[–—]\s*/);
+  const range = {};
+  const startDate = parseDate(start);
+  if (startDate) range.startDate = startDate;
+  const endDate = parseDate(end);
+  if (endDate) range.endDate = endDate;
+  else if (!end && startDate && !/present|current|now/i.test(dates)) range.endDate = startDate;
+  return range;
+}
+
+// ISO-8601 partial date, or undefined so the property is left out
+const isoDate = (value) => parseDate(value) || undefined;
+
+// Map the CV schema to JSON Resume so the tailored CV can be reused in other tools.
+// Custom sections have no JSON Resume equivalent and are left out.
+function toJsonResume(cvData) {
+  const info = cvData.personalInfo;
+  return {
+    $schema: SCHEMA_URL,
+    basics: {
+      name: info.fullName,
+      email: info.email || undefined,
+      phone: info.phone || undefined,
+      summary: cvData.summary || undefined,
+      location: info.location ? { address: info.location } : undefined,
+      profiles: info.linkedin ? [{ network: "LinkedIn", url: info.linkedin }] : [],
+    },
+    work: cvData.experience.map((job) => ({
+      name: job.company,
+      position: job.title,
+      location: job.location || undefined,
+      ...parseRange(job.dates),
+      highlights: job.achievements,
+    })),
+    education: cvData.education.map((edu) => {
+      const [studyType, area] = edu.degree.split(/\s+in\s+/i);
+      return {
+        institution: edu.institution,
+        studyType,
+        area: area || undefined,
+        ...parseRange(edu.dates),
+        courses: edu.details ? [edu.details] : [],
+      };
+    }),
+    skills: cvData.skills.flatMap((group) => (group.category ? [{ name: group.category, keywords: group.items }] : group.items.map((name) => ({ name })))),
+    projects: cvData.projects.map((project) => ({
+      name: project.name,
+      roles: project.role ? [project.role] : undefined,
+      ...parseRange(project.dates),
+      url: project.link || undefined,
+      description: project.description || undefined,
+      highlights: project.highlights,
+    })),
+    certificates: cvData.certifications.map((cert) => ({ name: cert.name, issuer: cert.issuer || undefined, date: isoDate(cert.date) })),
+    languages: cvData.languages.map((lang) => ({ language: lang.language, fluency: lang.proficiency || undefined })),
+    publications: cvData.publications.map((pub) => ({
+      name: pub.title,
+      publisher: pub.publisher || undefined,
+      releaseDate: isoDate(pub.date),
+      url: pub.link || undefined,
+    })),
+    volunteer: cvData.volunteering.map((role) => ({
+      organization: role.organization,
+      position: role.role,
+      ...parseRange(role.dates),
+      highlights: role.achievements,
+    })),
+    awards: cvData.awards.map((award) => ({ title: award.title, awarder: award.issuer || undefined, date: isoDate(award.date) })),
+  };
+}
+
+module.exports = { isJsonResume, fromJsonResume, toJsonResume };
@@ -0,0 +1,167 @@
+// Local ATS-style keyword analysis: no LLM involved, so scores are cheap and reproducible.
+
+// Known skills and phrases get double weight. Multi-word entries are matched as phrases.
+const SKILL_TERMS = [
+  // Engineering
+  "javascript", "typescript", "node.js", "react", "angular", "vue", "next.js", "express", "python", "django", "flask",
+  "fastapi", "java", "spring", "kotlin", "swift", "c#", ".net", "c++", "golang", "rust", "php", "laravel", "ruby", "rails",
+  "sql", "postgresql", "mysql", "mongodb", "redis", "elasticsearch", "graphql", "rest api", "api", "microservices",
+  "html", "css", "tailwind", "aws", "azure", "gcp", "docker", "kubernetes", "terraform", "ansible", "linux", "git",
+  "ci/cd", "github actions", "jenkins", "kafka", "rabbitmq", "spark", "hadoop", "airflow", "etl", "data warehouse",
+  "machine learning", "deep learning", "nlp", "computer vision", "tensorflow", "pytorch", "pandas", "numpy",
+  "data analysis", "data visualization", "power bi", "tableau", "excel", "statistics", "matlab",
+  "unit testing", "test automation", "selenium", "cypress", "jest", "tdd", "devops", "sre", "security",
+  "cybersecurity", "penetration testing", "networking", "cloud", "serverless", "mobile", "android", "ios", "figma",
+  "ux", "ui", "accessibility", "seo",
+  // Business and delivery
+  "project management", "product management", "agile", "scrum", "kanban", "jira", "stakeholder management",
+  "budgeting", "forecasting", "financial analysis", "financial modelling", "accounting", "ifrs", "audit", "compliance",
+  "risk management", "procurement", "supply chain", "logistics", "operations", "business analysis", "crm",
+  "salesforce", "sap", "erp", "marketing", "digital marketing", "content marketing", "social media", "sales",
+  "business development", "negotiation", "customer service", "account management", "recruitment", "hr",
+  "training", "coaching", "public speaking", "reporting", "monitoring and evaluation", "grant writing",
+  "fundraising", "policy", "research", "quality assurance", "lean", "six sigma", "health and safety",
+  // Transferable
+  "leadership", "team leadership", "communication", "problem solving", "teamwork", "collaboration", "mentoring",
+  "time management", "analytical", "attention to detail", "presentation", "writing", "french", "english", "german",
+  "spanish", "portuguese", "arabic",
+];
+
+// Alternative spellings that count as a match for the canonical keyword
+const ALIASES = {
+  "node.js": ["nodejs", "node"],
+  "rest api": ["restful", "rest apis"],
+  "next.js": ["nextjs"],
+  javascript: ["js", "ecmascript"],
+  typescript: ["ts"],
+  postgresql: ["postgres"],
+  kubernetes: ["k8s"],
+  "ci/cd": ["continuous integration", "continuous delivery", "continuous deployment"],
+  "machine learning": ["ml"],
+  gcp: ["google cloud"],
+  aws: ["amazon web services"],
+  "financial modelling": ["financial modeling"],
+  hr: ["human resources"],
+  ux: ["user experience"],
+  ui: ["user interface"],
+};
+
+const STOPWORDS = new Set(
+  `a about above after again against all also am an and any are as at be because been before being below between both
+  but by can could did do does doing down during each few for from further had has have having he her here hers him his
+  how i if in into is it its itself just me more most my no nor not now of off on once only or other our ours out over
+  own same she should so some such than that the their theirs them then there these they this those through to too
+  under until up very was we were what when where which while who whom why will with would you your yours
+  able ability across additional apply applicant applicants based benefits best candidate candidates closely company
+  competitive day days degree demonstrated desirable environment equal essential excellent experience experienced
+  field full good great help highly ideal ideally including join key knowledge least level looking make must need new
+  offer opportunity part passion passionate plus position preferred proven provide related required requirements
+  responsibilities responsible role salary skills strong successful support team teams time understanding using well
+  within work working world year years`.split(/\s+/)
+);
+
+const MAX_KEYWORDS = 30;
+
+// Lowercase, unify separators and keep symbols that matter in tech terms (c#, c++, node.js)
+function normalize(text) {
+  return ` ${String(text || "")
+    .toLowerCase()
+    .replace(/[/\-–—_]/g, " ")
+    .replace(/[^\p{L}\p{N}+#.\s]/gu, " ")
+    .split(/\s+/)
+    .map((token) => token.replace(/\.+$/, ""))
+    .filter(Boolean)
+    .join(" ")} `;
+}
+
+function containsTerm(normalizedText, term) {
+  const variants = [term, ...(Object.hasOwn(ALIASES, term) ? ALIASES[term] : [])];
+  return variants.some((variant) => normalizedText.includes(normalize(variant)));
+}
+
+// Pull weighted keywords from a job description: known skills first, then repeated terms and acronyms
+function extractKeywords(jobDescription) {
+  const text = normalize(jobDescription);
+  const keywords = new Map();
+
+  for (const term of SKILL_TERMS) {
+    if (containsTerm(text, term)) keywords.set(term, { keyword: term, weight: 2 });
+  }
+
+  const covered = new Set([...keywords.keys()].flatMap((k) => normalize(k).trim().split(" ")));
+  const acronyms = new Set((String(jobDescription).match(/\b[A-Z][A-Z0-9]{1,5}\b/g) || []).map((a) => a.toLowerCase()));
+  const counts = new Map();
+  for (const token of text.trim().split(" ")) {
+    if (token.length < 3 || STOPWORDS.has(token) || /^[\d.]+$/.test(token) || covered.has(token)) continue;
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  for (const acronym of acronyms) {
+    if (!STOPWORDS.has(acronym) && !covered.has(acronym) && !keywords.has(acronym)) counts.set(acronym, (counts.get(acronym) || 0) + 2);
+  }
+
+  const frequent = [...counts.entries()].filter(([, count]) => count >= 2).sort((a, b) => b[1] - a[1]);
+  for (const [token] of frequent) {
+    if (keywords.size >= MAX_KEYWORDS) break;
+    keywords.set(token, { keyword: token, weight: 1 });
+  }
+
+  return [...keywords.values()].slice(0, MAX_KEYWORDS);
+}
+
+// Weighted share of keywords found in text, 0-100
+function scoreText(text, keywords) {
+  const normalized = normalize(text);
+  const matched = [];
+  const missing = [];
+  let total = 0;
+  let hit = 0;
+
+  for (const { keyword, weight } of keywords) {
+    total += weight;
+    if (containsTerm(normalized, keyword)) {
+      hit += weight;
+      matched.push(keyword);
+    } else {
+      missing.push(keyword);
+    }
+  }
+
+  return { score: total ? Math.round((hit / total) * 100) : 0, matched, missing };
+}
+
+// Flatten structured CV data into plain text for scoring
+function cvDataToText(cvData) {
+  const info = cvData.personalInfo || {};
+  return [
+    info.fullName,
+    cvData.summary,
+    ...(cvData.experience || []).flatMap((job) => [job.title, job.company, job.location, ...(job.achievements || [])]),
+    ...(cvData.skills || []).flatMap((group) => [group.category, ...group.items]),
+    ...(cvData.education || []).flatMap((edu) => [edu.degree, edu.institution, edu.details]),
+    ...(cvData.projects || []).flatMap((project) => [project.name, project.role, project.description, ...project.highlights]),
+    ...(cvData.certifications || []).flatMap((cert) => [cert.name, cert.issuer]),
+    ...(cvData.languages || []).map((lang) => lang.language),
+    ...(cvData.publications || []).flatMap((pub) => [pub.title, pub.publisher]),
+    ...(cvData.volunteering || []).flatMap((role) => [role.role, role.organization, ...role.achievements]),
+    ...(cvData.awards || []).flatMap((award) => [award.title, award.issuer]),
+    ...(cvData.customSections || []).flatMap((section) => section.items),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Before/after keyword report for the original CV text and the tailored CV data
+function analyzeMatch(jobDescription, originalText, cvData) {
+  const keywords = extractKeywords(jobDescription);
+  const original = scoreText(originalText, keywords);
+  const tailored = scoreText(cvDataToText(cvData), keywords);
+  return {
+    keywords: keywords.map((k) => k.keyword),
+    original,
+    tailored,
+    improvement: tailored.score - original.score,
+    gained: tailored.matched.filter((k) => !original.matched.includes(k)),
+  };
+}
+
+module.exports = { extractKeywords, scoreText, cvDataToText, analyzeMatch };
@@ -0,0 +1,90 @@
+// Cover letter and email controls: tone, target length, who the letter is addressed to and what it stresses.
+// parseLetterOptions validates what the client sent; letterInstructions turns it into prompt rules and
+// checkLetterText rejects model output that is not a usable letter.
+const { LANGUAGES } = require("./i18n");
+const { hasFenceMarkers } = require("./prompt-fence");
+
+const TONES = {
+  formal: { id: "formal", name: "Formal", instruction: "Use a formal, courteous register" },
+  enthusiastic: { id: "enthusiastic", name: "Enthusiastic", instruction: "Sound warm and genuinely keen on the role, without exaggerating" },
+  concise: { id: "concise", name: "Concise", instruction: "Be direct and economical: short sentences, no filler or clichés" },
+};
+
+// Target word counts for each document type
+const LENGTHS = {
+  short: { id: "short", name: "Short", coverLetter: [150, 220], email: [60, 100] },
+  medium: { id: "medium", name: "Medium", coverLetter: [250, 350], email: [100, 160] },
+  long: { id: "long", name: "Long", coverLetter: [380, 480], email: [160, 220] },
+};
+
+const DEFAULT_TONE = "formal";
+const DEFAULT_LENGTH = "medium";
+const MAX_NAME_CHARS = 200;
+const MAX_NOTE_CHARS = 1000;
+const MAX_HIGHLIGHTS = 5;
+// Output past this multiple of the requested maximum has gone off task
+const MAX_LENGTH_OVERRUN = 2;
+
+// "Subject: ..." in any output language (Markdown bold is stripped before matching)
+const SUBJECT_LINE = new RegExp(`^(?:${Object.values(LANGUAGES).map((lang) => lang.subject).join("|")})\\s*:\\s*(.+)$`, "i");
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Returns { value: { tone, length, hiringManager, company, whyCompany, highlights } } or { error }
+function parseLetterOptions(input) {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "Invalid letter options" };
+
+  const tone = input.tone || DEFAULT_TONE;
+  if (!Object.hasOwn(TONES, tone)) return { error: `Unknown tone "${input.tone}"` };
+  const length = input.length || DEFAULT_LENGTH;
+  if (!Object.hasOwn(LENGTHS, length)) return { error: `Unknown letter length "${input.length}"` };
+
+  const hiringManager = text(input.hiringManager);
+  const company = text(input.company);
+  const whyCompany = text(input.whyCompany);
+  if (hiringManager.length > MAX_NAME_CHARS || company.length > MAX_NAME_CHARS) {
+    return { error: `Hiring manager and company names are limited to ${MAX_NAME_CHARS} characters` };
+  }
+  if (whyCompany.length > MAX_NOTE_CHARS) return { error: `The "why this company" note is limited to ${MAX_NOTE_CHARS} characters` };
+
+  // One achievement per array item or per line
+  const highlights = [].concat(input.highlights || []).flatMap((item) => String(item).split("\n")).map(text).filter(Boolean);
+  if (highlights.length > MAX_HIGHLIGHTS) return { error: `Choose at most ${MAX_HIGHLIGHTS} achievements to highlight` };
+
+  return { value: { tone, length, hiringManager, company, whyCompany, highlights } };
+}
+
+// Prompt rules for the "coverLetter" or "email" document; the free-text notes go through the prompt's fence
+function letterInstructions(letter, type, fence) {
+  const [min, max] = LENGTHS[letter.length][type];
+  const rules = [TONES[letter.tone].instruction, `Aim for ${min}-${max} words`];
+  rules.push(letter.hiringManager ? `Address it to ${letter.hiringManager}` : "Address it to the hiring team; do not invent a name");
+  if (letter.company) rules.push(`The employer is ${letter.company}; name it`);
+  if (letter.whyCompany) rules.push(`Explain why the candidate wants to work there, based on their own note:\n${fence("WHY_COMPANY", letter.whyCompany)}`);
+  if (letter.highlights.length) {
+    rules.push(`Feature these achievements, worded from the CV:\n${fence("HIGHLIGHTS", letter.highlights.map((item) => `* ${item}`).join("\n"))}`);
+  }
+  return rules.map((rule) => `- ${rule}`).join("\n");
+}
+
+// Throws when the model's letter or email body is empty, far longer than asked for, or echoes the prompt's
+// markers or structured data instead of prose
+function checkLetterText(text, letter, type) {
+  const words = String(text || "").split(/\s+/).filter(Boolean).length;
+  const limit = LENGTHS[letter.length][type][1] * MAX_LENGTH_OVERRUN;
+  if (!words) throw new Error("The generated text was empty");
+  if (words > limit) throw new Error(`The generated text ran to ${words} words, far over the requested length`);
+  if (hasFenceMarkers(text) || /^\s*[{[]/.test(text)) throw new Error("The generated text was not a letter");
+  return text;
+}
+
+// Split the model's email into { subject, body }; fallbackSubject is used when it left the subject line out
+function parseEmail(raw, fallbackSubject) {
+  const lines = String(raw).replace(/\r\n/g, "\n").trim().split("\n");
+  const match = lines[0].replace(/\*/g, "").trim().match(SUBJECT_LINE);
+  if (!match) return { subject: fallbackSubject, body: lines.join("\n").trim() };
+  return { subject: match[1].trim(), body: lines.slice(1).join("\n").trim() };
+}
+
+module.exports = { TONES, LENGTHS, DEFAULT_TONE, DEFAULT_LENGTH, parseLetterOptions, letterInstructions, checkLetterText, parseEmail };
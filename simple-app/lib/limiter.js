@@ -0,0 +1,68 @@
+// Counting semaphore: run(fn) starts fn once fewer than `concurrency` calls are in flight, otherwise it waits its turn.
+// A waiting call whose signal aborts leaves the queue without ever running.
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const release = () => {
+    active--;
+    const next = waiting.shift();
+    if (next) next();
+  };
+
+  const acquire = (signal) => {
+    if (signal) signal.throwIfAborted();
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        waiting.splice(waiting.indexOf(start), 1);
+        reject(signal.reason);
+      };
+      const start = () => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        active++;
+        resolve();
+      };
+      waiting.push(start);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  };
+
+  return {
+    async run(fn, signal) {
+      await acquire(signal);
+      try {
+        return await fn();
+      } finally {
+        release();
+      }
+    },
+    get active() {
+      return active;
+    },
+    get waiting() {
+      return waiting.length;
+    },
+  };
+}
+
+// Resolves after ms, or rejects with the signal's reason as soon as it aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+module.exports = { createLimiter, sleep };
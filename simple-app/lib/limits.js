@@ -0,0 +1,18 @@
+// Size limits on user-supplied job text, which goes into every prompt. Shared by single and batch tailoring.
+const MAX_JOB_DESCRIPTION_CHARS = Number(process.env.MAX_JOB_DESCRIPTION_CHARS) || 20000;
+const MAX_JOB_FIELD_CHARS = 200;
+
+// { status, error } for a job whose description is not text (400) or whose description, title or company is
+// too long (413), or null. `label` names the job in batch runs ("Job 3").
+function jobFieldsError({ jobDescription, jobTitle, company }, label = "The job") {
+  if (jobDescription !== undefined && typeof jobDescription !== "string") return { status: 400, error: `${label} description must be text` };
+  if (String(jobDescription || "").length > MAX_JOB_DESCRIPTION_CHARS) {
+    return { status: 413, error: `${label} description is limited to ${MAX_JOB_DESCRIPTION_CHARS} characters` };
+  }
+  if (String(jobTitle || "").length > MAX_JOB_FIELD_CHARS || String(company || "").length > MAX_JOB_FIELD_CHARS) {
+    return { status: 413, error: `${label} title and company are limited to ${MAX_JOB_FIELD_CHARS} characters` };
+  }
+  return null;
+}
+
+module.exports = { MAX_JOB_DESCRIPTION_CHARS, MAX_JOB_FIELD_CHARS, jobFieldsError };
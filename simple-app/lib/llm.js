@@ -0,0 +1,166 @@
+const axios = require("axios");
+const { createLimiter, sleep } = require("./limiter");
+
+// Provider presets. "openai" covers any OpenAI-compatible server (OpenAI, Ollama, llama.cpp, vLLM...)
+// concurrency: requests in flight at once per provider endpoint (LLM_CONCURRENCY overrides)
+const PROVIDERS = {
+  deepseek: { baseUrl: "https://api.deepseek.com", model: "deepseek-chat", keyEnv: "DEEPSEEK_API_KEY", concurrency: 4 },
+  openai: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", keyEnv: "OPENAI_API_KEY", concurrency: 4 },
+  ollama: { baseUrl: "http://localhost:11434/v1", model: "llama3.2", keyEnv: null, concurrency: 1 },
+  mock: { baseUrl: null, model: "mock", keyEnv: null, concurrency: Infinity },
+};
+
+// Retries: 429, 5xx and dropped connections back off exponentially (with jitter), honouring Retry-After
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"]);
+
+// Per-task generation defaults, overridable with LLM_<TASK>_MODEL / _TEMPERATURE / _MAX_TOKENS
+const TASKS = {
+  cv: { envPrefix: "LLM_CV", temperature: 0.5, maxTokens: 4000 },
+  coverLetter: { envPrefix: "LLM_COVER_LETTER", temperature: 0.5, maxTokens: 2048 },
+  email: { envPrefix: "LLM_EMAIL", temperature: 0.5, maxTokens: 1024 },
+};
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// Resolve provider + task settings from the environment on every call so tests can flip LLM_PROVIDER
+function getLLMConfig(task) {
+  const provider = (process.env.LLM_PROVIDER || "deepseek").toLowerCase();
+  const preset = PROVIDERS[provider];
+  if (!preset) throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(PROVIDERS).join(", ")}`);
+
+  const taskDefaults = TASKS[task] || TASKS.cv;
+  const prefix = taskDefaults.envPrefix;
+  return {
+    provider,
+    baseUrl: (process.env.LLM_API_BASE || preset.baseUrl || "").replace(/\/+$/, ""),
+    apiKey: process.env.LLM_API_KEY || (preset.keyEnv ? process.env[preset.keyEnv] : "") || "",
+    model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || preset.model,
+    temperature: numberFromEnv(`${prefix}_TEMPERATURE`, numberFromEnv("LLM_TEMPERATURE", taskDefaults.temperature)),
+    maxTokens: numberFromEnv(`${prefix}_MAX_TOKENS`, taskDefaults.maxTokens),
+    timeoutMs: numberFromEnv("LLM_TIMEOUT_MS", 120000),
+    maxRetries: numberFromEnv("LLM_MAX_RETRIES", 3),
+    concurrency: numberFromEnv("LLM_CONCURRENCY", preset.concurrency),
+  };
+}
+
+// One limiter per provider endpoint, shared by every task and request
+const limiters = new Map();
+function limiterFor(config) {
+  const key = `${config.provider} ${config.baseUrl} ${config.concurrency}`;
+  if (!limiters.has(key)) limiters.set(key, createLimiter(config.concurrency));
+  return limiters.get(key);
+}
+
+function isRetryable(err) {
+  if (axios.isCancel(err)) return false;
+  const status = err.response && err.response.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(err.code);
+}
+
+function retryDelay(err, attempt) {
+  const retryAfter = err.response && err.response.headers["retry-after"];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return Math.min(ms, MAX_BACKOFF_MS);
+  }
+  const backoff = BASE_BACKOFF_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.5, MAX_BACKOFF_MS);
+}
+
+// Provider errors read "deepseek: HTTP 429 (...)" instead of axios' generic "Request failed with status code 429"
+function describeError(err, config, attempts) {
+  const status = err.response && err.response.status;
+  const detail = err.response && err.response.data && err.response.data.error;
+  let message = status ? `HTTP ${status}` : err.code === "ECONNABORTED" ? `timed out after ${config.timeoutMs} ms` : err.message;
+  if (detail) message += ` (${typeof detail === "string" ? detail : detail.message})`;
+  if (attempts > 1) message += ` after ${attempts} attempts`;
+  const error = new Error(`${config.provider}: ${message}`);
+  error.status = status;
+  return error;
+}
+
+async function callOpenAICompatible(config, systemPrompt, userPrompt, signal) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const response = await axios.post(
+    `${config.baseUrl}/chat/completions`,
+    {
+      model: config.model,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: config.temperature,
+      max_tokens: config.maxTokens,
+    },
+    { headers, timeout: config.timeoutMs, signal }
+  );
+  return response.data.choices[0].message.content;
+}
+
+// Offline provider: derives a deterministic answer from the prompt so the full pipeline runs without network
+function callMock(task, systemPrompt, userPrompt) {
+  const source = (userPrompt.split("ORIGINAL CV:")[1] || userPrompt).split("TARGET JOB DESCRIPTION:")[0];
+  // Section markers from layout-aware PDF extraction ("=== EXPERIENCE ===") and prompt fences are not CV content
+  const lines = source.split("\n").map((l) => l.trim()).filter((l) => l && !/^=== .+ ===$/.test(l) && !/^<<<.+>>>$/.test(l));
+  const email = (source.match(/[\w.+-]+@[\w-]+\.[\w.-]+/) || [""])[0];
+  const phone = (source.match(/\+?\d[\d\s().-]{7,}\d/) || [""])[0];
+  const fullName = lines[0] && !lines[0].includes("@") ? lines[0] : "Jane Doe";
+
+  if (task === "cv") {
+    // Structured sources (master profiles) are echoed back unchanged, without their prompt fence
+    const content = lines.join("\n");
+    if (content.startsWith("{")) return content.slice(0, content.lastIndexOf("}") + 1);
+    return JSON.stringify({
+      personalInfo: { fullName, email, phone, location: "", linkedin: "" },
+      summary: "Results-driven professional with experience matching the target role.",
+      experience: [
+        {
+          title: "Professional",
+          company: "Previous Employer",
+          location: "",
+          dates: "",
+          achievements: lines.slice(1, 4).length ? lines.slice(1, 4) : ["Delivered projects relevant to the target role."],
+        },
+      ],
+      skills: [{ category: "", items: ["Communication", "Teamwork", "Problem Solving"] }],
+      education: [],
+    });
+  }
+  if (task === "email") {
+    return "Subject: Application for the advertised role\n\nDear Hiring Manager,\n\nPlease find attached my application for the advertised role.\n\nKind regards";
+  }
+  return "Dear Hiring Manager,\n\nI am writing to apply for the advertised role. My background aligns closely with the requirements you describe.\n\nI would welcome the opportunity to discuss my application.\n\nSincerely";
+}
+
+// Single entry point for every generation task ("cv", "coverLetter", "email").
+// Calls wait for a free slot on their provider, retry transient failures and stop as soon as `signal` aborts.
+async function callLLM(task, systemPrompt, userPrompt, { signal } = {}) {
+  const config = getLLMConfig(task);
+  if (config.provider === "mock") {
+    // LLM_MOCK_DELAY_MS simulates provider latency, e.g. to try out progress and cancellation offline
+    await sleep(numberFromEnv("LLM_MOCK_DELAY_MS", 0), signal);
+    return callMock(task, systemPrompt, userPrompt);
+  }
+
+  const limiter = limiterFor(config);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await limiter.run(() => callOpenAICompatible(config, systemPrompt, userPrompt, signal), signal);
+    } catch (err) {
+      if (signal && signal.aborted) throw signal.reason;
+      if (attempt >= config.maxRetries || !isRetryable(err)) throw describeError(err, config, attempt + 1);
+      await sleep(retryDelay(err, attempt), signal);
+    }
+  }
+}
+
+module.exports = { callLLM, getLLMConfig, PROVIDERS, TASKS };
@@ -0,0 +1,78 @@
+const { getSectionLayout } = require("./templates");
+const { getLanguage } = require("./i18n");
+const { personalDetails } = require("./regions");
+const { skillGroups, listDetail, resolveSections } = require("./cv-sections");
+
+// Characters that would otherwise turn CV text into Markdown formatting
+const escape = (text) => String(text).replace(/([\\`*_[\]#|])/g, "\\$1");
+
+// Entry subtitles and meta lines join their parts with " | ", which stays a separator
+const escapeParts = (text) => text.split(" | ").map(escape).join(" | ");
+
+// A job-like entry: "### title — subtitle", meta line, text and bullets
+function renderEntry(entry) {
+  return [
+    `### ${escape(entry.title)}${entry.subtitle ? ` — ${escapeParts(entry.subtitle)}` : ""}`,
+    ...(entry.meta ? [`*${escapeParts(entry.meta)}*`, ""] : []),
+    ...(entry.text ? [escape(entry.text), ""] : []),
+    ...entry.bullets.map((bullet) => `- ${escape(bullet)}`),
+    "",
+  ];
+}
+
+// Section renderers keyed by layout (see cv-sections.js); each returns Markdown lines.
+// section is { id, title, layout, entries }
+const SECTION_RENDERERS = {
+  summary: (cvData) => [escape(cvData.summary)],
+  experience: (cvData) =>
+    cvData.experience.flatMap((job) => {
+      const meta = [job.location, job.dates].filter(Boolean).map(escape).join(" | ");
+      return [
+        `### ${escape(job.title)} — ${escape(job.company)}`,
+        ...(meta ? [`*${meta}*`, ""] : []),
+        ...job.achievements.map((ach) => `- ${escape(ach)}`),
+        "",
+      ];
+    }),
+  // "**Cloud:** AWS · Terraform", one paragraph per group
+  skills: (cvData) =>
+    skillGroups(cvData).flatMap((group) => [`${group.category ? `**${escape(group.category)}:** ` : ""}${group.items.map(escape).join(" · ")}`, ""]),
+  education: (cvData) =>
+    cvData.education.flatMap((edu) => [
+      `### ${escape(edu.degree)}`,
+      [edu.institution, edu.dates].filter(Boolean).map(escape).join(" | "),
+      ...(edu.details ? ["", escape(edu.details)] : []),
+      "",
+    ]),
+  entries: (cvData, section) => section.entries.flatMap(renderEntry),
+  list: (cvData, section) =>
+    section.entries.map((entry) => {
+      const detail = escape(listDetail(entry));
+      return `- ${entry.title ? `**${escape(entry.title)}**${detail ? ` — ${detail}` : ""}` : detail}`;
+    }),
+};
+
+// Single flow in template order; a two-column template's sidebar follows its main column
+async function generateCVMarkdown(cvData, template, { language, region } = {}) {
+  const info = cvData.personalInfo;
+  const layout = getSectionLayout(template);
+  const titles = getLanguage(language).sections;
+  const details = personalDetails(info, region, language).map(([label, value]) => `${label}: ${escape(value)}`);
+  const lines = [`# ${escape(info.fullName)}`, "", [info.email, info.phone, info.location, info.linkedin].filter(Boolean).map(escape).join(" · ")];
+  if (details.length) lines.push("", details.join(" · "));
+
+  for (const section of resolveSections([...layout.main, ...layout.sidebar], cvData, titles)) {
+    lines.push("", `## ${escape(section.title)}`, "", ...SECTION_RENDERERS[section.layout](cvData, section));
+  }
+  return Buffer.from(lines.join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n");
+}
+
+async function generateTextMarkdown(title, body, cvData) {
+  const info = cvData.personalInfo;
+  const contact = [info.email, info.phone, info.location].filter(Boolean).map(escape).join(" · ");
+  // Two trailing spaces keep the letter's single line breaks (sign-offs, addresses) in rendered Markdown
+  const text = body.replace(/\r\n/g, "\n").trim().replace(/([^\n])\n(?!\n)/g, "$1  \n");
+  return Buffer.from(`# ${escape(info.fullName)}\n\n${contact}\n\n## ${title}\n\n${text}\n`);
+}
+
+module.exports = { generateCVMarkdown, generateTextMarkdown };
@@ -0,0 +1,217 @@
+// CV file parsers keyed on the file type detected from content, never the client-supplied mimetype
+const path = require("path");
+const JSZip = require("jszip");
+const mammoth = require("mammoth");
+const pdfParse = require("pdf-parse");
+const WordExtractor = require("word-extractor");
+const { isJsonResume, fromJsonResume } = require("./json-resume");
+const { CVValidationError } = require("./cv-schema");
+const { extractPdfLayout } = require("./pdf-layout");
+
+// "layout" keeps column reading order and section headings; "plain" is pdf-parse's flat text
+const PDF_EXTRACTION = process.env.PDF_EXTRACTION || "layout";
+
+const SUPPORTED_EXTENSIONS = [".pdf", ".docx", ".doc", ".odt", ".rtf", ".txt", ".md", ".markdown", ".json"];
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const ODT_MIMETYPE = "application/vnd.oasis.opendocument.text";
+
+// RTF destinations whose content is metadata, not document text
+const RTF_SKIPPED_GROUPS = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "header", "headerl", "headerr", "footer", "footerl", "footerr",
+  "object", "listtable", "listoverridetable", "rsidtbl", "generator", "xmlnsstbl", "themedata", "datastore", "latentstyles",
+]);
+
+class CVFileError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "CVFileError";
+    this.status = status;
+  }
+}
+
+// Text files: UTF-8 (with or without BOM) or UTF-16LE with BOM; anything containing NUL bytes is binary
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.slice(2).toString("utf16le");
+  if (buffer.subarray(0, 8192).includes(0)) return null;
+  return buffer.toString("utf8").replace(/^\uFEFF/, "");
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+async function odtToText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file("content.xml").async("string");
+  const body = xml.slice(xml.indexOf("<office:body"));
+  return decodeXmlEntities(
+    body
+      .replace(/<text:tab\s*\/>/g, "\t")
+      .replace(/<text:line-break\s*\/>/g, "\n")
+      .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (_, count) => " ".repeat(Number(count) || 1))
+      .replace(/<\/text:(?:p|h)>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  ).trim();
+}
+
+// Minimal RTF reader: keeps paragraph text, decodes \'hh and \uN escapes, drops metadata groups
+function rtfToText(rtf) {
+  const token = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+  const cp1252 = new TextDecoder("windows-1252");
+  let out = "";
+  let depth = 0;
+  let skipDepth = null;
+  let groupStart = false;
+  let unicodeSkip = 1;
+  let pendingSkip = 0;
+  let match;
+
+  while ((match = token.exec(rtf))) {
+    const [, word, param, hex, symbol, brace, text] = match;
+    if (brace === "{") {
+      depth++;
+      groupStart = true;
+      continue;
+    }
+    if (brace === "}") {
+      if (skipDepth === depth) skipDepth = null;
+      depth--;
+      groupStart = false;
+      continue;
+    }
+    const atGroupStart = groupStart;
+    groupStart = false;
+    if (skipDepth !== null) continue;
+
+    if (atGroupStart && (symbol === "*" || RTF_SKIPPED_GROUPS.has(word))) {
+      skipDepth = depth;
+    } else if (hex) {
+      if (pendingSkip) pendingSkip--;
+      else out += cp1252.decode(Uint8Array.of(parseInt(hex, 16)));
+    } else if (text) {
+      out += text.slice(pendingSkip);
+      pendingSkip = Math.max(0, pendingSkip - text.length);
+    } else if (symbol) {
+      if ("\\{}".includes(symbol)) out += symbol;
+      else if (symbol === "~") out += " ";
+    } else if (word === "par" || word === "line" || word === "row") {
+      out += "\n";
+    } else if (word === "tab" || word === "cell") {
+      out += "\t";
+    } else if (word === "uc") {
+      unicodeSkip = Number(param) || 0;
+    } else if (word === "u") {
+      out += String.fromCharCode(Number(param) < 0 ? Number(param) + 65536 : Number(param));
+      pendingSkip = unicodeSkip;
+    }
+  }
+  return out.replace(/[ \t]+\n/g, "\n").trim();
+}
+
+// Strip Markdown syntax that adds noise for the model; headings and bullets keep their line structure
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, "$1")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "$1 ($2)")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^\s*[-*+]\s+/gm, "• ")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*(?:[-*_]\s*){3,}$/gm, "")
+    .trim();
+}
+
+// Layout mode returns { text, sections, pages }; it falls back to flat text if no lines were recovered
+async function parsePdf(buffer) {
+  // pdf.js reads the whole ArrayBuffer behind a Buffer, so small pooled Buffers (which start at an offset)
+  // fail with "bad XRef entry"; it gets a copy of its own
+  const data = buffer.byteOffset ? new Uint8Array(buffer) : buffer;
+  if (PDF_EXTRACTION === "layout") {
+    const layout = await extractPdfLayout(data);
+    if (layout.sections.some((section) => section.lines.length)) return layout;
+  }
+  return { text: (await pdfParse(data)).text };
+}
+
+// Each parser returns { text } plus optional extras: cvData for structured input, sections for PDF layout
+const PARSERS = {
+  pdf: { label: "PDF", parse: parsePdf },
+  docx: { label: "Word (DOCX)", parse: async (buffer) => ({ text: (await mammoth.extractRawText({ buffer })).value }) },
+  doc: { label: "Word 97-2003 (DOC)", parse: async (buffer) => ({ text: (await new WordExtractor().extract(buffer)).getBody() }) },
+  odt: { label: "OpenDocument (ODT)", parse: async (buffer) => ({ text: await odtToText(buffer) }) },
+  rtf: { label: "Rich Text (RTF)", parse: async (buffer) => ({ text: rtfToText(buffer.toString("latin1")) }) },
+  markdown: { label: "Markdown", parse: async (buffer) => ({ text: markdownToText(decodeText(buffer)) }) },
+  text: { label: "Plain text", parse: async (buffer) => ({ text: decodeText(buffer) }) },
+  jsonResume: {
+    label: "JSON Resume",
+    parse: async (buffer) => {
+      const cvData = fromJsonResume(JSON.parse(decodeText(buffer)));
+      return { text: JSON.stringify(cvData, null, 2), cvData };
+    },
+  },
+};
+
+// Detect the file type from magic bytes, falling back to content sniffing for text formats
+async function detectFileType(buffer, fileName = "") {
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+  if (buffer.subarray(0, 8).equals(OLE_SIGNATURE)) return "doc";
+  if (buffer.subarray(0, 5).toString("latin1") === "{\\rtf") return "rtf";
+
+  if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      if (zip.file("word/document.xml")) return "docx";
+      const mimetype = zip.file("mimetype");
+      if (mimetype && (await mimetype.async("string")).trim() === ODT_MIMETYPE) return "odt";
+    } catch {
+      return null;
+    }
+    return null;
+  }
+
+  const text = decodeText(buffer);
+  if (text === null || !text.trim()) return null;
+  if (/^\s*[{[]/.test(text)) {
+    try {
+      return isJsonResume(JSON.parse(text)) ? "jsonResume" : null;
+    } catch {
+      // Not JSON after all; treat as text below
+    }
+  }
+  const extension = path.extname(fileName).toLowerCase();
+  const looksLikeMarkdown = /^\s{0,3}#{1,6}\s/m.test(text) || /\*\*[^*\n]+\*\*/.test(text) || /\[[^\]\n]+\]\([^)\n]+\)/.test(text);
+  return extension === ".md" || extension === ".markdown" || looksLikeMarkdown ? "markdown" : "text";
+}
+
+// Parse an uploaded CV into { type, label, text, cvData?, sections? }; throws CVFileError for unusable files
+async function parseCVBuffer(buffer, fileName = "") {
+  const type = await detectFileType(buffer, fileName);
+  if (!type) {
+    throw new CVFileError("Unsupported file type. Upload a PDF, DOCX, DOC, ODT, RTF, TXT, Markdown or JSON Resume file.", 415);
+  }
+
+  const { label, parse } = PARSERS[type];
+  let result;
+  try {
+    result = await parse(buffer);
+  } catch (err) {
+    if (err instanceof CVValidationError) throw err;
+    throw new CVFileError(`This ${label} file could not be read (${err.message}). It may be damaged or password-protected.`, 422);
+  }
+  if (!result.text || !result.text.trim()) {
+    throw new CVFileError(`No text could be extracted from this ${label} file. Scanned documents are not supported.`, 422);
+  }
+  return { type, label, ...result };
+}
+
+module.exports = { SUPPORTED_EXTENSIONS, CVFileError, detectFileType, parseCVBuffer };
@@ -0,0 +1,214 @@
+// Flow layout for the PDF renderer. pdfkit's own text flow breaks pages wherever the current line runs out
+// of room, which strands section headings and job titles at the bottom of a page. Here content is measured
+// into boxes first (usually one per line), paginated with keep-with-next and widow/orphan rules, then drawn.
+//
+// A box is { height, draw(doc, x, y) } with optional
+//   spaceBefore   gap above the box, dropped at the top of a continuation page
+//   keepWithNext  never break the page between this box and the next
+//   extent        how far the box's ink reaches below y when that is more than height (a label column
+//                 taller than the line next to it)
+//   clear         start below the extent of everything above on the page
+// Styles are { font, size, color }; styled text is a list of runs [{ text, style }].
+
+// Lines of a paragraph that must stay together at its start (orphans) and end (widows) across a break
+const ORPHAN_LINES = 2;
+const WIDOW_LINES = 2;
+
+function setStyle(doc, style) {
+  return doc.font(style.font).fontSize(style.size).fillColor(style.color);
+}
+
+function lineHeight(doc, style) {
+  return doc.font(style.font).fontSize(style.size).currentLineHeight(true);
+}
+
+function textWidth(doc, text, style) {
+  return doc.font(style.font).fontSize(style.size).widthOfString(text);
+}
+
+// Greedy word wrap of runs into lines of fragments [{ text, style, width }] no wider than `width`.
+// Newlines in the text force a break; a word longer than a whole line is split wherever it runs out.
+function wrapRuns(doc, runs, width) {
+  const lines = [];
+  let line = [];
+  let used = 0;
+
+  const append = (text, style) => {
+    const last = line[line.length - 1];
+    if (last && last.style === style) {
+      last.text += text;
+      last.width = textWidth(doc, last.text, style);
+    } else {
+      line.push({ text, style, width: textWidth(doc, text, style) });
+    }
+    used = line.reduce((sum, fragment) => sum + fragment.width, 0);
+  };
+  const breakLine = () => {
+    const last = line[line.length - 1];
+    if (last) {
+      last.text = last.text.trimEnd();
+      last.width = textWidth(doc, last.text, last.style);
+    }
+    lines.push(line.filter((fragment) => fragment.text));
+    line = [];
+    used = 0;
+  };
+
+  for (const { text, style } of runs) {
+    for (const token of String(text).split(/(\s+)/)) {
+      if (!token) continue;
+      if (/^\s+$/.test(token)) {
+        for (let n = (token.match(/\n/g) || []).length; n > 0; n--) breakLine();
+        if (!token.includes("\n") && line.length) append(token.replace(/\t/g, " "), style);
+        continue;
+      }
+      let word = token;
+      if (line.length && used + textWidth(doc, word, style) > width) breakLine();
+      while (textWidth(doc, word, style) > width && word.length > 1) {
+        let fit = word.length - 1;
+        while (fit > 1 && textWidth(doc, word.slice(0, fit), style) > width - used) fit--;
+        append(word.slice(0, fit), style);
+        breakLine();
+        word = word.slice(fit);
+      }
+      append(word, style);
+    }
+  }
+  if (line.length) breakLine();
+  return lines.filter((fragments) => fragments.length);
+}
+
+// One box per line of the runs, laid out in `width` starting `indent` points into the column.
+// A marker ("•") hangs in front of the first line, with every line indented past it.
+// keepTogether keeps all lines on one page; otherwise only widows and orphans are prevented.
+// keepWithNext ties the last line to whatever follows.
+function paragraph(doc, runs, { width, indent = 0, align = "left", lineGap = 0, marker, hang = 0, keepTogether = false, keepWithNext = false }) {
+  const textIndent = indent + (marker ? hang : 0);
+  const available = width - textIndent + indent;
+  const lines = wrapRuns(doc, runs, available);
+  const n = lines.length;
+
+  return lines.map((fragments, index) => {
+    const height = Math.max(...fragments.map((fragment) => lineHeight(doc, fragment.style))) + lineGap;
+    const lineWidth = fragments.reduce((sum, fragment) => sum + fragment.width, 0);
+    const offset = align === "center" ? (available - lineWidth) / 2 : align === "right" ? available - lineWidth : 0;
+    const last = index === n - 1;
+    return {
+      height,
+      keepWithNext: last ? keepWithNext : keepTogether || index < ORPHAN_LINES - 1 || index >= n - WIDOW_LINES,
+      draw(doc, x, y) {
+        // The space keeps "• text" apart when the PDF's text is copied or read by an ATS
+        if (marker && index === 0) setStyle(doc, fragments[0].style).text(`${marker} `, x + indent, y, { lineBreak: false });
+        let cursor = x + textIndent + offset;
+        for (const fragment of fragments) {
+          setStyle(doc, fragment.style).text(fragment.text, cursor, y, { lineBreak: false });
+          cursor += fragment.width;
+        }
+      },
+    };
+  });
+}
+
+// Several boxes drawn as one, so they can never be split across pages
+function stack(boxes) {
+  const offsets = [];
+  let height = 0;
+  boxes.forEach((box, index) => {
+    height += index ? box.spaceBefore || 0 : 0;
+    offsets.push(height);
+    height += box.height;
+  });
+  return {
+    height,
+    draw(doc, x, y) {
+      boxes.forEach((box, index) => box.draw(doc, x, y + offsets[index]));
+    },
+  };
+}
+
+// A horizontal line `spaceBefore` below the previous box, followed by `height` of space
+function rule({ width, color, lineWidth = 1, spaceBefore = 0, height = 0, keepWithNext = false }) {
+  return {
+    spaceBefore,
+    height,
+    keepWithNext,
+    draw(doc, x, y) {
+      doc.strokeColor(color).lineWidth(lineWidth).moveTo(x, y).lineTo(x + width, y).stroke();
+    },
+  };
+}
+
+// Collects boxes for one column; space() adds to the gap before the next box added
+function createFlow() {
+  const boxes = [];
+  let pending = 0;
+  return {
+    boxes,
+    add(...added) {
+      for (const box of added.flat()) {
+        boxes.push(pending ? { ...box, spaceBefore: (box.spaceBefore || 0) + pending } : box);
+        pending = 0;
+      }
+    },
+    space(points) {
+      pending += points;
+    },
+    get pendingSpace() {
+      return pending;
+    },
+  };
+}
+
+// Place boxes on pages between `top` and `bottom` (the first page starts at `firstTop`).
+// Returns pages of [{ box, y }]. When a box does not fit, it moves to the next page together with the run of
+// keep-with-next boxes before it, unless that run already fills the page on its own.
+function paginate(boxes, { top, bottom, firstTop = top }) {
+  const pages = [[]];
+  let y = firstTop;
+  let floor = firstTop;
+  let index = 0;
+
+  while (index < boxes.length) {
+    const box = boxes[index];
+    const page = pages[pages.length - 1];
+    const pageTop = page.length === 0;
+    const start = Math.max(y, box.clear ? floor : y) + (pageTop && pages.length > 1 ? 0 : box.spaceBefore || 0);
+
+    if (!pageTop && start + Math.max(box.height, box.extent || 0) > bottom) {
+      let first = page.length;
+      while (first > 0 && page[first - 1].box.keepWithNext) first--;
+      const moved = first === 0 ? [] : page.splice(first);
+      pages.push([]);
+      y = top;
+      floor = top;
+      index -= moved.length;
+      continue;
+    }
+
+    page.push({ box, y: start });
+    y = start + box.height;
+    floor = Math.max(floor, start + Math.max(box.height, box.extent || 0));
+    index++;
+  }
+  return pages;
+}
+
+// Total height of boxes laid out without page breaks
+function flowHeight(boxes) {
+  return boxes.reduce((sum, box, index) => sum + (index ? box.spaceBefore || 0 : 0) + box.height, 0);
+}
+
+// Draw paginated columns ([{ x, pages }]) page by page; footer(doc, pageNumber, pageCount) runs on every page
+function drawPages(doc, columns, footer) {
+  const pageCount = Math.max(...columns.map((column) => column.pages.length));
+  for (let number = 1; number <= pageCount; number++) {
+    if (number > 1) doc.addPage();
+    for (const { x, pages } of columns) {
+      for (const { box, y } of pages[number - 1] || []) box.draw(doc, x, y);
+    }
+    if (footer) footer(doc, number, pageCount);
+  }
+  return pageCount;
+}
+
+module.exports = { setStyle, lineHeight, textWidth, wrapRuns, paragraph, stack, rule, createFlow, paginate, flowHeight, drawPages };
@@ -0,0 +1,186 @@
+// Layout-aware PDF text extraction: rebuilds lines from positioned text items, reads two-column
+// pages column by column and splits the result into CV sections by heading.
+const pdfParse = require("pdf-parse");
+
+// Heading vocabulary mapped to section keys; matched against whole, short lines only
+const SECTION_HEADINGS = {
+  summary: ["summary", "professional summary", "profile", "professional profile", "about me", "about", "objective", "career objective", "personal statement"],
+  experience: ["experience", "work experience", "professional experience", "employment", "employment history", "work history", "career history", "relevant experience"],
+  education: ["education", "academic background", "education and training", "qualifications", "academic qualifications"],
+  skills: ["skills", "technical skills", "key skills", "core skills", "core competencies", "competencies", "expertise", "skills and abilities", "tools", "technologies"],
+  certifications: ["certifications", "certificates", "licenses", "licenses and certifications", "certifications and licenses", "courses", "training"],
+  projects: ["projects", "personal projects", "key projects", "selected projects"],
+  languages: ["languages", "language skills"],
+  publications: ["publications", "research"],
+  volunteering: ["volunteering", "volunteer experience", "volunteer work", "community involvement"],
+  awards: ["awards", "honors", "honours", "awards and honors", "achievements"],
+  interests: ["interests", "hobbies", "hobbies and interests"],
+  references: ["references", "referees"],
+  contact: ["contact", "contact details", "contact information", "personal details", "personal information"],
+};
+
+const HEADING_LOOKUP = new Map(Object.entries(SECTION_HEADINGS).flatMap(([key, names]) => names.map((name) => [name, key])));
+
+// Items on the same baseline (within this share of the font size) belong to one row
+const ROW_TOLERANCE = 0.5;
+// A horizontal gap wider than this many font sizes starts a new segment within a row
+const SEGMENT_GAP = 1.5;
+// A column gutter may be crossed by at most this share of segments (headers, full-width rules)
+const MAX_GUTTER_CROSSINGS = 0.1;
+// Each column must hold at least this share of the page's text
+const MIN_COLUMN_SHARE = 0.15;
+
+function toItem(raw) {
+  const [a, b, , d, x, y] = raw.transform;
+  const fontSize = Math.hypot(a, b) || Math.abs(d) || 10;
+  return { str: raw.str, x, y, width: raw.width, fontSize };
+}
+
+// Group items into rows (top to bottom) and rows into segments split on wide horizontal gaps
+function buildRows(items) {
+  const sorted = items.filter((item) => item.str.length).sort((p, q) => q.y - p.y || p.x - q.x);
+  const rows = [];
+  for (const item of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= row.fontSize * ROW_TOLERANCE) {
+      row.items.push(item);
+      row.fontSize = Math.max(row.fontSize, item.fontSize);
+    } else {
+      rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  return rows.map((row) => {
+    const segments = [];
+    let current = null;
+    for (const item of row.items.sort((p, q) => p.x - q.x)) {
+      const gap = current ? item.x - current.x1 : Infinity;
+      if (!current || gap > SEGMENT_GAP * item.fontSize) {
+        current = { x0: item.x, x1: item.x + item.width, y: row.y, fontSize: item.fontSize, text: "" };
+        segments.push(current);
+      } else if (gap > item.fontSize * 0.2 && !/\s$/.test(current.text) && !/^\s/.test(item.str)) {
+        current.text += " ";
+      }
+      current.text += item.str;
+      current.x1 = Math.max(current.x1, item.x + item.width);
+      current.fontSize = Math.max(current.fontSize, item.fontSize);
+    }
+    for (const segment of segments) segment.text = segment.text.replace(/\s+/g, " ").trim();
+    return { y: row.y, fontSize: row.fontSize, segments: segments.filter((s) => s.text) };
+  });
+}
+
+// Find a vertical gutter that splits the page into two text columns, or null for single-column pages
+function findGutter(rows, pageWidth) {
+  const segments = rows.flatMap((row) => row.segments);
+  if (segments.length < 6) return null;
+  const totalChars = segments.reduce((sum, s) => sum + s.text.length, 0);
+
+  let best = null;
+  for (let x = pageWidth * 0.2; x <= pageWidth * 0.8; x += 2) {
+    let crossing = 0;
+    let leftChars = 0;
+    let rightChars = 0;
+    for (const s of segments) {
+      if (s.x1 <= x) leftChars += s.text.length;
+      else if (s.x0 >= x) rightChars += s.text.length;
+      else crossing++;
+    }
+    if (crossing > segments.length * MAX_GUTTER_CROSSINGS) continue;
+    if (leftChars < totalChars * MIN_COLUMN_SHARE || rightChars < totalChars * MIN_COLUMN_SHARE) continue;
+    if (!best || crossing < best.crossing) best = { x, crossing };
+  }
+  return best ? best.x : null;
+}
+
+// Reading order for a page: full-width rows stay in place; between them, the left column is read before the right
+function orderLines(rows, gutter) {
+  const lines = [];
+  const emit = (segment) => lines.push({ text: segment.text, fontSize: segment.fontSize });
+
+  if (gutter === null) {
+    for (const row of rows) {
+      lines.push({ text: row.segments.map((s) => s.text).join("  "), fontSize: row.fontSize });
+    }
+    return lines;
+  }
+
+  let left = [];
+  let right = [];
+  const flush = () => {
+    left.forEach(emit);
+    right.forEach(emit);
+    left = [];
+    right = [];
+  };
+  for (const row of rows) {
+    if (row.segments.some((s) => s.x0 < gutter && s.x1 > gutter)) {
+      flush();
+      lines.push({ text: row.segments.map((s) => s.text).join("  "), fontSize: row.fontSize });
+      continue;
+    }
+    for (const segment of row.segments) (segment.x1 <= gutter ? left : right).push(segment);
+  }
+  flush();
+  return lines;
+}
+
+function headingKey(line, bodySize, allowUnknown) {
+  const text = line.text.replace(/[:|•\-–—]+$/g, "").trim();
+  if (!text || text.split(/\s+/).length > 5) return null;
+  const key = HEADING_LOOKUP.get(text.toLowerCase().replace(/&/g, "and").replace(/\s+/g, " "));
+  if (key) return key;
+  // Unknown all-caps lines set in a larger font than the body are headings too, but only once a known
+  // heading has been seen, so the candidate's name at the top is not mistaken for one
+  const isCaps = /\p{L}/u.test(text) && text === text.toUpperCase();
+  return allowUnknown && isCaps && line.fontSize > bodySize * 1.1 ? "other" : null;
+}
+
+// Split ordered lines into sections; anything before the first heading is the "header" (name, contact)
+function detectSections(lines) {
+  const sizes = lines.map((line) => Math.round(line.fontSize)).sort((a, b) => a - b);
+  const bodySize = sizes.length ? sizes[Math.floor(sizes.length / 2)] : 10;
+  const sections = [{ key: "header", heading: null, lines: [] }];
+
+  for (const line of lines) {
+    const key = headingKey(line, bodySize, sections.length > 1);
+    if (key) {
+      sections.push({ key, heading: line.text, lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line.text);
+    }
+  }
+  return sections.filter((section) => section.heading || section.lines.length);
+}
+
+// Text handed to the model: one block per section under a canonical marker
+function formatSections(sections) {
+  return sections
+    .map((section) => {
+      const marker = section.key === "other" ? section.heading.toUpperCase() : section.key.toUpperCase();
+      return `=== ${marker} ===\n${section.lines.join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+// Extract { text, sections, pages } from a PDF buffer; pages report the detected column gutter
+async function extractPdfLayout(buffer) {
+  const pages = [];
+  const lines = [];
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      const pageWidth = pageData.view[2] - pageData.view[0];
+      const rows = buildRows(content.items.map(toItem));
+      const gutter = findGutter(rows, pageWidth);
+      pages.push({ page: pages.length + 1, columns: gutter === null ? 1 : 2, gutter: gutter === null ? null : Math.round(gutter) });
+      lines.push(...orderLines(rows, gutter));
+      return "";
+    },
+  });
+
+  const sections = detectSections(lines);
+  return { text: formatSections(sections), sections, pages };
+}
+
+module.exports = { SECTION_HEADINGS, extractPdfLayout, detectSections };
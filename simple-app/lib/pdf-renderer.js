@@ -0,0 +1,360 @@
+const PDFDocument = require("pdfkit");
+const { getSectionLayout } = require("./templates");
+const { getLanguage, formatLetterDate } = require("./i18n");
+const { getRegion, labelledLayout } = require("./regions");
+const { skillGroups, listDetail, resolveSections } = require("./cv-sections");
+const { setStyle, lineHeight, textWidth, paragraph, stack, rule, createFlow, paginate, flowHeight, drawPages } = require("./pdf-flow");
+
+const SIDEBAR_GUTTER = 20;
+// Label-column layouts (Europass, Lebenslauf): share of the width taken by labels and dates
+const LABEL_WIDTH = 0.26;
+const LABEL_GUTTER = 14;
+// Bullet text starts this far right of the bullet
+const BULLET_HANG = 12;
+const FOOTER_SIZE = 8;
+
+// Page fitting for CVs. "auto" flows onto as many pages as the content needs; the strict modes tighten
+// spacing (then type, slightly) step by step until the CV fits, and fail rather than spill onto another page.
+// Only the PDF renderer paginates; other formats ignore the setting.
+const PAGE_FITS = {
+  auto: { id: "auto", name: "Auto", maxPages: null },
+  "one-page": { id: "one-page", name: "One page", maxPages: 1 },
+  "two-page": { id: "two-page", name: "Two pages", maxPages: 2 },
+};
+const DEFAULT_PAGE_FIT = "auto";
+// Spacing and type scales tried in order by the strict modes
+const FIT_STEPS = [
+  { spacing: 1, type: 1 },
+  { spacing: 0.8, type: 1 },
+  { spacing: 0.6, type: 1 },
+  { spacing: 0.45, type: 1 },
+  { spacing: 0.45, type: 0.95 },
+  { spacing: 0.4, type: 0.9 },
+];
+
+class PageFitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PageFitError";
+    this.status = 422;
+  }
+}
+
+function getPageFit(id) {
+  const key = id || DEFAULT_PAGE_FIT;
+  return Object.hasOwn(PAGE_FITS, key) ? PAGE_FITS[key] : null;
+}
+
+// Collect pdfkit output into a single Buffer; an error thrown while drawing rejects the promise
+function renderToBuffer(options, draw) {
+  return new Promise((resolve) => {
+    const doc = new PDFDocument(options);
+    let buffers = [];
+    doc.on("data", buffers.push.bind(buffers));
+    doc.on("end", () => resolve(Buffer.concat(buffers)));
+    draw(doc);
+    doc.end();
+  });
+}
+
+// Text styles for a template, with spacing and type scaled for page fitting
+function templateStyles(t, { spacing = 1, type = 1 } = {}) {
+  const { regular, bold, italic } = t.fonts.pdf;
+  const size = (key) => t.sizes[key] * type;
+  return {
+    spacing: t.spacing * spacing,
+    name: { font: bold, size: size("name"), color: t.colors.primary },
+    contact: { font: regular, size: size("contact"), color: t.colors.contact },
+    heading: { font: bold, size: size("heading"), color: t.colors.primary },
+    title: { font: bold, size: size("title"), color: t.colors.text },
+    separator: { font: regular, size: size("title"), color: t.colors.separator },
+    company: { font: italic, size: size("title"), color: t.colors.text },
+    meta: { font: regular, size: size("meta"), color: t.colors.muted },
+    body: { font: regular, size: size("body"), color: t.colors.text },
+    strong: { font: bold, size: size("body"), color: t.colors.text },
+    subtitle: { font: italic, size: size("body"), color: t.colors.text },
+  };
+}
+
+// A job-like entry: "title  |  subtitle", meta line, text and bullets
+function renderEntry(flow, entry, { doc, s }, col) {
+  const heading = [{ text: entry.title, style: s.title }];
+  if (entry.subtitle) heading.push({ text: "  |  ", style: s.separator }, { text: entry.subtitle, style: s.company });
+  // The title, its meta line and the first bullet go to the next page together
+  flow.add(paragraph(doc, heading, { width: col.width, keepTogether: true, keepWithNext: true }));
+  flow.space(lineHeight(doc, s.title) * 0.2 * s.spacing);
+
+  if (entry.meta) {
+    flow.add(paragraph(doc, [{ text: entry.meta, style: s.meta }], { width: col.width, keepTogether: true, keepWithNext: true }));
+    flow.space(lineHeight(doc, s.meta) * 0.5 * s.spacing);
+  }
+  if (entry.text) flow.add(paragraph(doc, [{ text: entry.text, style: s.body }], { width: col.width, lineGap: 1.5 }));
+
+  for (const bullet of entry.bullets) {
+    flow.add(paragraph(doc, [{ text: bullet, style: s.body }], { width: col.width, lineGap: 1.5, marker: "•", hang: BULLET_HANG }));
+  }
+  flow.space(lineHeight(doc, s.body) * 1 * s.spacing);
+}
+
+// Section content keyed by layout (see cv-sections.js); each adds boxes to the column's flow.
+// col is { width, sidebar }, section is { id, title, layout, entries }
+const SECTION_RENDERERS = {
+  summary(flow, cvData, { doc, s }, col) {
+    flow.add(paragraph(doc, [{ text: cvData.summary, style: s.body }], { width: col.width, lineGap: 2 }));
+    flow.space(lineHeight(doc, s.body) * 1.5 * s.spacing);
+  },
+  experience(flow, cvData, ctx, col) {
+    for (const job of cvData.experience) {
+      const meta = [job.location, job.dates].filter(Boolean).join(" | ");
+      renderEntry(flow, { title: job.title, subtitle: job.company, meta, bullets: job.achievements }, ctx, col);
+    }
+  },
+  // One line per group in the main column ("Cloud: AWS  •  Terraform"), a list per group in the sidebar
+  skills(flow, cvData, { doc, s }, col) {
+    for (const group of skillGroups(cvData)) {
+      if (col.sidebar) {
+        if (group.category) {
+          flow.add(paragraph(doc, [{ text: group.category, style: s.strong }], { width: col.width, keepTogether: true, keepWithNext: true }));
+          flow.space(lineHeight(doc, s.body) * 0.2 * s.spacing);
+        }
+        for (const skill of group.items) {
+          flow.add(paragraph(doc, [{ text: skill, style: s.body }], { width: col.width, lineGap: 1.5, marker: "•", hang: BULLET_HANG }));
+        }
+        flow.space(lineHeight(doc, s.body) * 0.5 * s.spacing);
+      } else {
+        const label = group.category ? [{ text: `${group.category}: `, style: s.strong }] : [];
+        flow.add(paragraph(doc, [...label, { text: group.items.join("  •  "), style: s.body }], { width: col.width, lineGap: 2 }));
+      }
+    }
+    flow.space(lineHeight(doc, s.body) * (col.sidebar ? 1 : 1.5) * s.spacing);
+  },
+  education(flow, cvData, { doc, s }, col) {
+    for (const edu of cvData.education) {
+      const meta = [edu.institution, edu.dates].filter(Boolean).join(" | ");
+      flow.add(paragraph(doc, [{ text: edu.degree, style: s.title }], { width: col.width, keepTogether: true, keepWithNext: Boolean(meta || edu.details) }));
+      flow.space(lineHeight(doc, s.title) * 0.2 * s.spacing);
+      if (meta) flow.add(paragraph(doc, [{ text: meta, style: s.meta }], { width: col.width, keepTogether: true, keepWithNext: Boolean(edu.details) }));
+      if (edu.details) {
+        flow.space(lineHeight(doc, s.meta) * 0.3 * s.spacing);
+        flow.add(paragraph(doc, [{ text: edu.details, style: s.body }], { width: col.width, lineGap: 1.5 }));
+      }
+      flow.space(lineHeight(doc, s.meta) * 1 * s.spacing);
+    }
+  },
+  entries(flow, cvData, ctx, col, section) {
+    for (const entry of section.entries) renderEntry(flow, entry, ctx, col);
+  },
+  // "AWS Certified Developer — Amazon Web Services, 2023"
+  list(flow, cvData, { doc, s }, col, section) {
+    for (const entry of section.entries) {
+      const detail = listDetail(entry);
+      const runs = entry.title ? [{ text: entry.title, style: s.strong }] : [];
+      if (detail) runs.push({ text: entry.title ? ` — ${detail}` : detail, style: s.body });
+      flow.add(paragraph(doc, runs, { width: col.width, lineGap: 1.5, marker: "•", hang: BULLET_HANG }));
+    }
+    flow.space(lineHeight(doc, s.body) * 1.5 * s.spacing);
+  },
+};
+
+// Heading and rule, kept with the section's first lines
+function sectionHeader(flow, title, { doc, s, t }, width) {
+  flow.add(paragraph(doc, [{ text: title, style: s.heading }], { width, keepTogether: true, keepWithNext: true }));
+  const em = lineHeight(doc, s.heading);
+  flow.add(rule({ width, color: t.colors.rule, spaceBefore: em * 0.2 * s.spacing, height: em * 0.8 * s.spacing, keepWithNext: true }));
+}
+
+function columnFlow(sections, cvData, ctx, col, titles) {
+  const flow = createFlow();
+  for (const section of resolveSections(sections, cvData, titles)) {
+    sectionHeader(flow, section.title, ctx, col.width);
+    SECTION_RENDERERS[section.layout](flow, cvData, ctx, col, section);
+  }
+  return flow.boxes;
+}
+
+// Name, contact line and optional rule
+function headerFlow(cvData, { doc, s, t }, width) {
+  const info = cvData.personalInfo;
+  const name = t.header.uppercaseName ? info.fullName.toUpperCase() : info.fullName;
+  const contact = [info.email, info.phone, info.location, info.linkedin].filter(Boolean).join(" | ");
+  const flow = createFlow();
+  flow.add(paragraph(doc, [{ text: name, style: s.name }], { width, align: t.header.align }));
+  flow.space(lineHeight(doc, s.name) * 0.2);
+  flow.add(paragraph(doc, [{ text: contact, style: s.contact }], { width, align: t.header.align }));
+  flow.space(lineHeight(doc, s.contact) * 1.5 * s.spacing);
+  if (t.header.rule) {
+    flow.add(rule({ width, color: t.colors.primary, lineWidth: 2 }));
+    flow.space(lineHeight(doc, s.contact) * 1.5 * s.spacing);
+  }
+  return flow;
+}
+
+// Template layouts: the header on the first page, then one column or a sidebar and a main column, each
+// flowing onto further pages on its own
+function layoutStandardCV(doc, cvData, ctx, frame) {
+  const layout = getSectionLayout(ctx.t);
+  const header = headerFlow(cvData, ctx, frame.width);
+  const titles = getLanguage(ctx.language).sections;
+
+  if (!layout.sidebar.length) {
+    header.add(columnFlow(layout.main, cvData, ctx, { width: frame.width, sidebar: false }, titles));
+    return [{ x: frame.left, pages: paginate(header.boxes, frame) }];
+  }
+
+  const firstTop = frame.top + flowHeight(header.boxes) + header.pendingSpace;
+  const sidebarWidth = Math.round(frame.width * ctx.t.sidebarWidth);
+  const mainWidth = frame.width - sidebarWidth - SIDEBAR_GUTTER;
+  const sidebar = columnFlow(layout.sidebar, cvData, ctx, { width: sidebarWidth, sidebar: true }, titles);
+  const main = columnFlow(layout.main, cvData, ctx, { width: mainWidth, sidebar: false }, titles);
+  return [
+    { x: frame.left, pages: paginate(header.boxes, frame) },
+    { x: frame.left, pages: paginate(sidebar, { ...frame, firstTop }) },
+    { x: frame.left + sidebarWidth + SIDEBAR_GUTTER, pages: paginate(main, { ...frame, firstTop }) },
+  ];
+}
+
+// One label-column row: label (dates) on the left next to the first line of the title, subtitle, text and
+// bullets on the right. The row starts below the previous row's label.
+function labelledRow(flow, row, { doc, s }, cols, labelAlign) {
+  const content = { width: cols.content.width, indent: cols.content.indent };
+  const rowFlow = createFlow();
+  if (row.title) {
+    rowFlow.add(paragraph(doc, [{ text: row.title, style: s.title }], { ...content, keepTogether: true, keepWithNext: true }));
+    rowFlow.space(lineHeight(doc, s.title) * 0.1);
+  }
+  if (row.subtitle) {
+    rowFlow.add(paragraph(doc, [{ text: row.subtitle, style: s.subtitle }], { ...content, keepTogether: true, keepWithNext: true }));
+    rowFlow.space(lineHeight(doc, s.subtitle) * 0.2);
+  }
+  if (row.text) rowFlow.add(paragraph(doc, [{ text: row.text, style: s.body }], { ...content, lineGap: 1.5 }));
+  for (const bullet of row.bullets || []) {
+    rowFlow.add(paragraph(doc, [{ text: bullet, style: s.body }], { ...content, lineGap: 1.5, marker: "•", hang: BULLET_HANG }));
+  }
+
+  const label = stack(paragraph(doc, [{ text: row.label || "", style: s.meta }], { width: cols.label.width, align: labelAlign }));
+  const [first = { height: 0, draw() {} }, ...rest] = rowFlow.boxes;
+  flow.add({
+    ...first,
+    clear: true,
+    extent: label.height,
+    draw(doc, x, y) {
+      label.draw(doc, x, y);
+      first.draw(doc, x, y);
+    },
+  });
+  flow.add(rest);
+  flow.space(lineHeight(doc, s.body) * 0.6 * s.spacing);
+}
+
+// Europass and Lebenslauf: heading, then every section as label/content rows; a Lebenslauf ends dated and signed
+function layoutLabelledCV(doc, layout, ctx, frame) {
+  const { s, t } = ctx;
+  const { width } = frame;
+  const labelWidth = Math.round(width * LABEL_WIDTH);
+  const cols = {
+    label: { width: labelWidth },
+    content: { indent: labelWidth + LABEL_GUTTER, width: width - labelWidth - LABEL_GUTTER },
+  };
+  const flow = createFlow();
+  flow.add(paragraph(doc, [{ text: layout.heading, style: s.name }], { width, align: layout.signature ? "center" : "left" }));
+  flow.space(lineHeight(doc, s.name) * 1 * s.spacing);
+
+  for (const section of layout.sections) {
+    sectionHeader(flow, section.title, ctx, width);
+    for (const row of section.rows) labelledRow(flow, row, ctx, cols, layout.labelAlign);
+    flow.space(lineHeight(doc, s.body) * 0.6 * s.spacing);
+  }
+
+  if (layout.signature) {
+    const em = lineHeight(doc, s.body);
+    flow.add(
+      stack([
+        ...paragraph(doc, [{ text: layout.signature.place, style: s.body }], { width }),
+        rule({ width: 180, color: t.colors.muted, lineWidth: 0.5, spaceBefore: em * 2.5, height: em * 0.3 }),
+        ...paragraph(doc, [{ text: layout.signature.name, style: s.body }], { width }),
+      ])
+    );
+  }
+  return [{ x: frame.left, pages: paginate(flow.boxes, frame) }];
+}
+
+// "Ama Mensah — page 2 of 3" centred in the bottom margin; single-page CVs go without
+function pageFooter(cvData, language, t) {
+  const style = { font: t.fonts.pdf.regular, size: FOOTER_SIZE, color: t.colors.muted };
+  return (doc, page, pages) => {
+    if (pages < 2) return;
+    const label = getLanguage(language).pageNumber.replace("{page}", page).replace("{pages}", pages);
+    const text = `${cvData.personalInfo.fullName} — ${label}`;
+    const { left, right, bottom } = doc.page.margins;
+    // Positioned by hand: pdfkit starts a new page for text given a width below the bottom margin
+    const x = left + (doc.page.width - left - right - textWidth(doc, text, style)) / 2;
+    setStyle(doc, style).text(text, x, doc.page.height - bottom / 2 - FOOTER_SIZE / 2, { lineBreak: false });
+  };
+}
+
+// region picks the layout: the template's own for "standard" regions, a label-column layout otherwise.
+// pageFit (see PAGE_FITS) limits the page count.
+async function generateCVPDF(cvData, template, { language, region, pageFit } = {}) {
+  const t = template;
+  const fit = getPageFit(pageFit);
+  return renderToBuffer({ margin: 40 }, (doc) => {
+    const { margins, width: pageWidth, height: pageHeight } = doc.page;
+    const frame = { left: margins.left, width: pageWidth - margins.left - margins.right, top: margins.top, bottom: pageHeight - margins.bottom };
+    const labelled = getRegion(region).layout !== "standard";
+
+    for (const step of fit.maxPages ? FIT_STEPS : FIT_STEPS.slice(0, 1)) {
+      const ctx = { doc, t, s: templateStyles(t, step), language };
+      const columns = labelled
+        ? layoutLabelledCV(doc, labelledLayout(cvData, region, language), ctx, frame)
+        : layoutStandardCV(doc, cvData, ctx, frame);
+      if (!fit.maxPages || Math.max(...columns.map((column) => column.pages.length)) <= fit.maxPages) {
+        drawPages(doc, columns, pageFooter(cvData, language, t));
+        return;
+      }
+    }
+    const pages = fit.maxPages === 1 ? "one page" : `${fit.maxPages} pages`;
+    throw new PageFitError(`The CV does not fit on ${pages}, even with tighter spacing. Choose a longer page fit or shorten the CV.`);
+  });
+}
+
+// Letter-type documents (cover letter, application email), laid out like the DOCX letters: name and contact
+// over a rule in the template's colours, date, recipient, paragraphs and the candidate's name as sign-off.
+// recipient defaults to the language's "Hiring Manager"; pass null for none.
+async function generateTextPDF(title, body, cvData, { recipient, template, language } = {}) {
+  const t = template;
+  const { regular, bold } = t.fonts.pdf;
+  const info = cvData.personalInfo;
+  const contact = [info.email, info.phone, info.location].filter(Boolean).join(" | ");
+  if (recipient === undefined) recipient = getLanguage(language).recipient;
+  const paragraphs = body
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n").map((line) => line.trimEnd()).join("\n"))
+    .filter((block) => block.trim());
+
+  return renderToBuffer({ margin: 54, info: { Title: title, Author: info.fullName } }, (doc) => {
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    doc.font(bold).fontSize(16).fillColor(t.colors.primary).text(info.fullName);
+    doc.font(regular).fontSize(10).fillColor(t.colors.contact).text(contact).moveDown(0.8);
+    doc
+      .moveTo(doc.page.margins.left, doc.y)
+      .lineTo(doc.page.margins.left + width, doc.y)
+      .lineWidth(1.5)
+      .strokeColor(t.colors.primary)
+      .stroke();
+    doc.moveDown(1.5).fontSize(11).text(formatLetterDate(language)).moveDown(1.2);
+
+    doc.fillColor(t.colors.text);
+    for (const line of [].concat(recipient).filter(Boolean)) doc.text(line);
+    doc.moveDown(1.2);
+    for (const block of paragraphs) doc.text(block, { lineGap: 3 }).moveDown(0.8);
+
+    // Only sign off if the model didn't already end the letter with the candidate's name
+    const last = paragraphs.length ? paragraphs[paragraphs.length - 1] : "";
+    if (!last.toLowerCase().includes(info.fullName.toLowerCase())) {
+      doc.font(bold).fillColor(t.colors.primary).text(info.fullName);
+    }
+  });
+}
+
+module.exports = { PAGE_FITS, DEFAULT_PAGE_FIT, PageFitError, getPageFit, generateCVPDF, generateTextPDF };
@@ -0,0 +1,38 @@
+// Per-client fixed-window rate limiting as Express middleware. Counters live in memory, so limits apply
+// per server process; behind a proxy set TRUST_PROXY so req.ip is the client's address.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// max requests per windowMs for each key (the client IP by default); 0 disables the limiter
+function createRateLimiter({ windowMs, max, message = "Too many requests, please try again later", key = (req) => req.ip }) {
+  const windows = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id);
+    }
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+    const now = Date.now();
+    const id = key(req);
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({ "RateLimit-Limit": String(max), "RateLimit-Remaining": String(Math.max(0, max - window.count)), "RateLimit-Reset": String(resetSeconds) });
+    if (window.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
+
+module.exports = { createRateLimiter };
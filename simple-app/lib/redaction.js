@@ -0,0 +1,164 @@
+// PII redaction for LLM calls: contact details and personal data in the CV become stable placeholders
+// ("[EMAIL_1]") before any provider call, and the real values are put back into what the model returns.
+// One redactor per tailoring run, so the same value gets the same placeholder in every prompt.
+const { LANGUAGES } = require("./i18n");
+
+// Placeholder prefix per kind of detail; the keys are what the API reports
+const KINDS = {
+  name: "NAME",
+  email: "EMAIL",
+  phone: "PHONE",
+  address: "ADDRESS",
+  link: "LINK",
+  dateOfBirth: "BIRTH_DATE",
+  placeOfBirth: "BIRTH_PLACE",
+  nationality: "NATIONALITY",
+  maritalStatus: "MARITAL_STATUS",
+};
+
+// personalInfo field -> kind, for structured sources and for restoring the tailored CV
+const PERSONAL_INFO_KINDS = {
+  fullName: "name",
+  email: "email",
+  phone: "phone",
+  location: "address",
+  linkedin: "link",
+  dateOfBirth: "dateOfBirth",
+  placeOfBirth: "placeOfBirth",
+  nationality: "nationality",
+  maritalStatus: "maritalStatus",
+};
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PROFILE_LINK = /(?:https?:\/\/)?(?:[\w-]+\.)?(?:linkedin\.com|github\.com|gitlab\.com|xing\.com|twitter\.com|x\.com)\/[^\s,;)>\]]+/gi;
+const PHONE = /(?<![\w+])\+?\d[\d\s().\/-]{6,}\d(?!\w)/g;
+const MIN_PHONE_DIGITS = 8;
+// "2019 - 2021" or "01.2019 - 12.2021" look like phone numbers but are date ranges
+const DATE_GROUP = /^(?:\d{1,2}|(?:19|20)\d\d)$/;
+const PLACEHOLDER = new RegExp(`\\[(${Object.values(KINDS).join("|")})_(\\d+)\\]`, "g");
+
+// "Label: value" lines in any supported language; the value is redacted as the label's kind
+const LABELS = { address: ["address", "adresse", "anschrift", "dirección", "direccion", "home"], dateOfBirth: ["dob", "born"] };
+for (const lang of Object.values(LANGUAGES)) {
+  LABELS.address.push(lang.contact.location.toLowerCase());
+  for (const field of ["dateOfBirth", "placeOfBirth", "nationality", "maritalStatus"]) {
+    (LABELS[field] = LABELS[field] || []).push(lang.personal[field].toLowerCase());
+  }
+}
+const LABEL_TO_KIND = new Map(Object.entries(LABELS).flatMap(([kind, labels]) => labels.map((label) => [label, kind])));
+const LABELLED_LINE = /^\s*([\p{L} ]{2,30}?)\s*[:：]\s*(.+?)\s*$/u;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const HEADINGS = new Set(Object.values(LANGUAGES).flatMap((lang) => Object.values(lang.sections)).map((title) => title.toLowerCase()));
+
+// Document titles that open many CVs above the name, in every supported language
+const TITLE_LINES = new Set(
+  ["curriculum vitae", "resume", "résumé", "cv", "lebenslauf", "hoja de vida"].concat(Object.values(LANGUAGES).map((lang) => lang.documents.cv.toLowerCase()))
+);
+const NAME = /^\p{Lu}[\p{L}'’.-]*(?:\s+\p{L}[\p{L}'’.-]*){1,4}$/u;
+// Letters after the name ("Ama Mensah, MBA, PhD, M.Sc."): short, with two capitals or a dot, unlike a place name
+const isCredential = (text) => /^[\p{L}.]{2,8}$/u.test(text) && (/\p{Lu}.*\p{Lu}/u.test(text) || text.includes("."));
+
+// The first line of a plain-text CV is usually the candidate's name (2-5 words, letters only), sometimes below
+// a document title and followed by credentials, which are not part of the name
+function guessName(text) {
+  const first = String(text)
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => line && !/^=== .+ ===$/.test(line) && !TITLE_LINES.has(line.replace(/[:.]$/, "").toLowerCase()));
+  if (!first || HEADINGS.has(first.toLowerCase())) return null;
+  const [name, ...credentials] = first.split(",");
+  if (!credentials.every((credential) => isCredential(credential.trim()))) return null;
+  return NAME.test(name.trim()) ? name.trim() : null;
+}
+
+function isPhone(match) {
+  const groups = match.match(/\d+/g);
+  return groups.join("").length >= MIN_PHONE_DIGITS && !groups.every((group) => DATE_GROUP.test(group));
+}
+
+function createRedactor() {
+  // value -> { kind, placeholder, occurrences }
+  const entries = new Map();
+  const counters = {};
+
+  const add = (kind, value) => {
+    const text = String(value || "").trim();
+    if (text.length < 2 || entries.has(text)) return;
+    counters[kind] = (counters[kind] || 0) + 1;
+    entries.set(text, { kind, placeholder: `[${KINDS[kind]}_${counters[kind]}]`, occurrences: 0 });
+  };
+
+  // Details the model must never see; for structured sources these are exact
+  const addPersonalInfo = (info = {}) => {
+    for (const [field, kind] of Object.entries(PERSONAL_INFO_KINDS)) add(kind, info[field]);
+  };
+
+  const detect = (text) => {
+    const name = guessName(text);
+    if (name) add("name", name);
+    for (const match of text.match(EMAIL) || []) add("email", match);
+    for (const match of text.match(PROFILE_LINK) || []) add("link", match);
+    for (const match of text.match(PHONE) || []) if (isPhone(match)) add("phone", match.trim());
+    for (const line of text.split("\n")) {
+      const labelled = LABELLED_LINE.exec(line);
+      const kind = labelled && LABEL_TO_KIND.get(labelled[1].trim().toLowerCase());
+      if (kind) add(kind, labelled[2]);
+    }
+  };
+
+  // Replace every known value (longest first, so a value inside another is not split up) with its placeholder
+  const redact = (text) => {
+    const source = String(text || "");
+    detect(source);
+    let result = source;
+    for (const [value, entry] of [...entries].sort((a, b) => b[0].length - a[0].length)) {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(value)}(?![\\p{L}\\p{N}])`, "giu");
+      result = result.replace(pattern, () => {
+        entry.occurrences++;
+        return entry.placeholder;
+      });
+    }
+    return result;
+  };
+
+  const values = new Map();
+  const restoreText = (text) => {
+    if (values.size !== entries.size) {
+      values.clear();
+      for (const [value, entry] of entries) values.set(entry.placeholder, value);
+    }
+    return text.replace(PLACEHOLDER, (placeholder) => values.get(placeholder) || placeholder);
+  };
+
+  // Put the real values back into a string or anything JSON-like
+  const restore = (value) => {
+    if (typeof value === "string") return restoreText(value);
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+    return value;
+  };
+
+  // Restored CV data, with contact fields the model left empty filled from the redacted originals
+  const restoreCV = (cvData) => {
+    const restored = restore(cvData);
+    const first = (kind) => [...entries].find(([, entry]) => entry.kind === kind && entry.occurrences);
+    for (const field of ["fullName", "email", "phone", "location", "linkedin"]) {
+      const original = !restored.personalInfo[field] && first(PERSONAL_INFO_KINDS[field]);
+      if (original) restored.personalInfo[field] = original[0];
+    }
+    return restored;
+  };
+
+  // What was hidden from the provider: [{ type, placeholder, occurrences }]; the values stay out of reports
+  const report = () =>
+    [...entries.values()].filter((entry) => entry.occurrences).map(({ kind, placeholder, occurrences }) => ({ type: kind, placeholder, occurrences }));
+
+  return { addPersonalInfo, redact, restore, restoreCV, report };
+}
+
+// Prompt rule for redacted runs
+const REDACTION_RULE =
+  "Personal details in the CV have been replaced with placeholders such as [NAME_1], [EMAIL_1] and [PHONE_1]. Copy placeholders exactly where the detail belongs (including personalInfo), never translate, alter or invent them.";
+
+module.exports = { KINDS, REDACTION_RULE, createRedactor };
@@ -0,0 +1,183 @@
+// Regional CV conventions: the generation rules (length, which personal details belong on the CV) and the
+// layout PDF/DOCX use. "standard" keeps the selected template; "europass" and "lebenslauf" are label-column
+// layouts (labels and dates on the left, content on the right) described by labelledLayout.
+const { getLanguage, formatLetterDate } = require("./i18n");
+const { skillGroups, resolveSections } = require("./cv-sections");
+
+// Optional personalInfo fields; a region lists the ones its CVs show, everything else is dropped
+const PERSONAL_FIELDS = ["dateOfBirth", "placeOfBirth", "nationality", "maritalStatus"];
+
+const REGIONS = {
+  // The default: the template as it is, with no length rules or bullet caps, and no personal details
+  none: {
+    id: "none",
+    name: "No regional conventions",
+    description: "The template as it is, without length or bullet limits",
+    layout: "standard",
+    personalFields: [],
+    maxBullets: Infinity,
+    rules: [],
+  },
+  us: {
+    id: "us",
+    name: "US resume",
+    description: "One page, achievement-led, no personal details",
+    layout: "standard",
+    personalFields: [],
+    maxBullets: 5,
+    rules: [
+      "Fit everything on one page: keep the most recent and relevant roles, shorten or drop older ones",
+      "Leave out date of birth, place of birth, nationality, marital status and photos",
+      "Start every bullet with an action verb and quantify results where the original CV gives the numbers",
+    ],
+  },
+  uk: {
+    id: "uk",
+    name: "UK/EU CV",
+    description: "Up to two pages with a personal profile, no personal details",
+    layout: "standard",
+    personalFields: [],
+    maxBullets: 6,
+    rules: [
+      "Keep it to two pages at most",
+      "Open with a personal profile of 3-4 sentences",
+      "Leave out date of birth, place of birth, nationality, marital status and photos",
+    ],
+  },
+  europass: {
+    id: "europass",
+    name: "Europass",
+    description: "Europass structure with personal information and full dates",
+    layout: "europass",
+    personalFields: ["dateOfBirth", "nationality"],
+    maxBullets: 6,
+    rules: [
+      "Follow the Europass structure: personal information, about me, work experience, education and training, skills",
+      "Give month and year for the start and end of every role and qualification",
+      "Include date of birth and nationality only when the original CV states them",
+    ],
+  },
+  de: {
+    id: "de",
+    name: "German Lebenslauf",
+    description: "Tabular Lebenslauf with a personal-data table",
+    layout: "lebenslauf",
+    personalFields: PERSONAL_FIELDS,
+    maxBullets: 4,
+    rules: [
+      "Write a tabular Lebenslauf: strictly reverse-chronological, with month and year (MM/YYYY) for every entry",
+      "Keep it to two pages at most and the summary to one or two sentences, or leave the summary empty",
+      "Include date of birth, place of birth, nationality and marital status only when the original CV states them",
+    ],
+  },
+};
+
+// Clients that send no region get the CVs they got before regions existed
+const DEFAULT_REGION = "none";
+
+// Label-column layouts: section order and how the left column is aligned
+const LABELLED_SECTIONS = ["personal", "summary", "experience", "projects", "education", "certifications", "skills", "languages", "volunteering", "publications", "awards", "custom"];
+const LABELLED_LAYOUTS = {
+  europass: { sections: LABELLED_SECTIONS, labelAlign: "right", signature: false },
+  lebenslauf: { sections: LABELLED_SECTIONS, labelAlign: "left", signature: true },
+};
+
+function getRegion(id) {
+  const key = id || DEFAULT_REGION;
+  return Object.hasOwn(REGIONS, key) ? REGIONS[key] : null;
+}
+
+function listRegions() {
+  return Object.values(REGIONS).map(({ id, name, description, layout }) => ({ id, name, description, layout }));
+}
+
+// Prompt rule for generateTailoredCV
+function regionInstruction(region) {
+  const { name, rules, personalFields } = getRegion(region);
+  const fields = personalFields.length
+    ? `Fill personalInfo.${personalFields.join(", personalInfo.")} only from the original CV and leave out any it does not state.`
+    : `Leave out personalInfo.${PERSONAL_FIELDS.join(", personalInfo.")}.`;
+  return rules.length ? `Follow ${name} conventions: ${rules.join("; ")}. ${fields}` : fields;
+}
+
+// Enforce what the prompt asked for: drop personal fields the region does not show and cap bullets per role
+// (volunteer roles and projects included)
+function applyRegion(cvData, region) {
+  const { personalFields, maxBullets } = getRegion(region);
+  const personalInfo = { ...cvData.personalInfo };
+  for (const field of PERSONAL_FIELDS) {
+    if (!personalFields.includes(field) || !String(personalInfo[field] || "").trim()) delete personalInfo[field];
+  }
+  return {
+    ...cvData,
+    personalInfo,
+    experience: cvData.experience.map((job) => ({ ...job, achievements: job.achievements.slice(0, maxBullets) })),
+    volunteering: cvData.volunteering.map((role) => ({ ...role, achievements: role.achievements.slice(0, maxBullets) })),
+    projects: cvData.projects.map((project) => ({ ...project, highlights: project.highlights.slice(0, maxBullets) })),
+  };
+}
+
+// [[label, value]] for the personal fields the region shows, in the output language
+function personalDetails(info, region, language) {
+  const labels = getLanguage(language).personal;
+  return getRegion(region)
+    .personalFields.filter((field) => info[field])
+    .map((field) => [labels[field], info[field]]);
+}
+
+// Render-ready model for label-column layouts:
+// { heading, labelAlign, sections: [{ id, title, rows: [{ label, title, subtitle, text, bullets }] }], signature }
+// Sections from cv-sections.js become one row per entry, labelled with the entry's dates.
+function labelledLayout(cvData, region, language) {
+  const lang = getLanguage(language);
+  const layout = LABELLED_LAYOUTS[getRegion(region).layout];
+  const info = cvData.personalInfo;
+  const lebenslauf = layout.signature;
+
+  const contact = [
+    ...(lebenslauf ? [[lang.personal.name, info.fullName]] : []),
+    ...["location", "phone", "email", "linkedin"].filter((key) => info[key]).map((key) => [lang.contact[key], info[key]]),
+    ...personalDetails(info, region, language),
+  ];
+  const rows = {
+    personal: contact.map(([label, value]) => ({ label, text: value })),
+    summary: cvData.summary ? [{ label: "", text: cvData.summary }] : [],
+    experience: cvData.experience.map((job) => ({
+      label: job.dates,
+      title: job.title,
+      subtitle: [job.company, job.location].filter(Boolean).join(", "),
+      bullets: job.achievements,
+    })),
+    education: cvData.education.map((edu) => ({ label: edu.dates, title: edu.degree, subtitle: edu.institution, text: edu.details })),
+    skills: skillGroups(cvData).map((group) => ({ label: group.category, text: group.items.join(", ") })),
+  };
+  const titles = { ...lang.sections, personal: lang.personal.heading };
+
+  // A Lebenslauf is dated and signed: "Accra, 19. Oktober 2026" above the candidate's name
+  const place = String(info.location || "").split(",")[0].trim();
+  return {
+    heading: lebenslauf ? lang.documents.cv : info.fullName,
+    labelAlign: layout.labelAlign,
+    sections: layout.sections.flatMap((id) => {
+      if (rows[id]) return rows[id].length ? [{ id, title: titles[id], rows: rows[id] }] : [];
+      return resolveSections([id], cvData, titles).map((section) => ({
+        id,
+        title: section.title,
+        rows: section.entries.map(({ meta, title, subtitle, text, bullets }) => ({ label: meta, title, subtitle, text, bullets })),
+      }));
+    }),
+    signature: lebenslauf ? { place: [place, formatLetterDate(language)].filter(Boolean).join(", "), name: info.fullName } : null,
+  };
+}
+
+module.exports = {
+  REGIONS,
+  DEFAULT_REGION,
+  PERSONAL_FIELDS,
+  getRegion,
+  listRegions,
+  regionInstruction,
+  applyRegion,
+  personalDetails,
+  labelledLayout,
+};
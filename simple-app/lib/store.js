@@ -0,0 +1,54 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+// Minimal JSON-file collection: records are kept in memory and written through on every change.
+// Writes go to a temp file first and are renamed into place so a crash never leaves half a file.
+// upgrade(record) brings records written by older versions up to date when the file is loaded.
+function createJsonStore(name, { upgrade } = {}) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let records = [];
+
+  if (fs.existsSync(filePath)) {
+    records = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (upgrade) records = records.map(upgrade);
+  }
+
+  const persist = () => {
+    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return {
+    // Newest first
+    list: () => [...records].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    get: (id) => records.find((r) => r.id === id) || null,
+    insert(data) {
+      const now = new Date().toISOString();
+      const record = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...data };
+      records.push(record);
+      persist();
+      return record;
+    },
+    update(id, changes) {
+      const record = records.find((r) => r.id === id);
+      if (!record) return null;
+      Object.assign(record, changes, { id, updatedAt: new Date().toISOString() });
+      persist();
+      return record;
+    },
+    remove(id) {
+      const before = records.length;
+      records = records.filter((r) => r.id !== id);
+      if (records.length === before) return false;
+      persist();
+      return true;
+    },
+  };
+}
+
+module.exports = { createJsonStore, DATA_DIR };
@@ -0,0 +1,73 @@
+// Declarative CV templates shared by the PDF and DOCX renderers.
+// Sizes are in points (DOCX half-points are derived), colours are hex strings.
+// Section ids are the ones in cv-sections.js; "custom" places all of a CV's custom sections.
+const TEMPLATES = {
+  classic: {
+    id: "classic",
+    name: "Classic",
+    description: "Centered header, navy accents, single column",
+    layout: "single",
+    sectionOrder: ["summary", "experience", "projects", "skills", "education", "certifications", "languages", "volunteering", "publications", "awards", "custom"],
+    header: { align: "center", uppercaseName: true, rule: true },
+    colors: { primary: "#1a365d", text: "#000000", contact: "#4a5568", muted: "#718096", separator: "#a0aec0", rule: "#e2e8f0" },
+    fonts: {
+      pdf: { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" },
+      docx: "Calibri",
+    },
+    sizes: { name: 22, contact: 10, heading: 13, title: 11, body: 10.5, meta: 9.5 },
+    spacing: 1,
+  },
+  modern: {
+    id: "modern",
+    name: "Modern",
+    description: "Left-aligned header with a skills and education sidebar",
+    layout: "two-column",
+    sectionOrder: ["summary", "experience", "projects", "volunteering", "publications", "awards", "custom"],
+    sidebarSections: ["skills", "education", "certifications", "languages"],
+    sidebarWidth: 0.32,
+    header: { align: "left", uppercaseName: false, rule: true },
+    colors: { primary: "#0f4c5c", text: "#1f2933", contact: "#52606d", muted: "#7b8794", separator: "#9aa5b1", rule: "#cbd2d9" },
+    fonts: {
+      pdf: { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" },
+      docx: "Arial",
+    },
+    sizes: { name: 24, contact: 9.5, heading: 11.5, title: 10.5, body: 10, meta: 9 },
+    spacing: 1,
+  },
+  compact: {
+    id: "compact",
+    name: "Compact",
+    description: "Dense serif layout that fits more on one page",
+    layout: "single",
+    sectionOrder: ["summary", "skills", "experience", "projects", "education", "certifications", "languages", "volunteering", "publications", "awards", "custom"],
+    header: { align: "left", uppercaseName: true, rule: false },
+    colors: { primary: "#222222", text: "#000000", contact: "#444444", muted: "#555555", separator: "#888888", rule: "#999999" },
+    fonts: {
+      pdf: { regular: "Times-Roman", bold: "Times-Bold", italic: "Times-Italic" },
+      docx: "Times New Roman",
+    },
+    sizes: { name: 16, contact: 9, heading: 10.5, title: 10, body: 9.5, meta: 8.5 },
+    spacing: 0.6,
+  },
+};
+
+const DEFAULT_TEMPLATE = "classic";
+
+function getTemplate(id) {
+  const key = id || DEFAULT_TEMPLATE;
+  return Object.hasOwn(TEMPLATES, key) ? TEMPLATES[key] : null;
+}
+
+// Sections in render order for the main column and (two-column only) the sidebar
+function getSectionLayout(template) {
+  if (template.layout === "two-column") {
+    return { main: template.sectionOrder, sidebar: template.sidebarSections || [] };
+  }
+  return { main: template.sectionOrder, sidebar: [] };
+}
+
+function listTemplates() {
+  return Object.values(TEMPLATES).map(({ id, name, description, layout }) => ({ id, name, description, layout }));
+}
+
+module.exports = { TEMPLATES, DEFAULT_TEMPLATE, getTemplate, getSectionLayout, listTemplates };
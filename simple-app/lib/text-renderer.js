@@ -0,0 +1,68 @@
+// Plain-text, ATS-safe output for pasting into web application forms: no tables or columns,
+// upper-case headings, "-" bullets and ASCII punctuation that every form accepts.
+const { getLanguage } = require("./i18n");
+const { personalDetails } = require("./regions");
+const { skillGroups, listDetail, resolveSections } = require("./cv-sections");
+
+// Conventional ATS order regardless of the visual template
+const SECTION_ORDER = ["summary", "experience", "skills", "education", "projects", "certifications", "languages", "volunteering", "publications", "awards", "custom"];
+
+const PUNCTUATION = [
+  [/[‘’‚′]/g, "'"],
+  [/[“”„″]/g, '"'],
+  [/[–—―−]/g, "-"],
+  [/[•●▪·]/g, "-"],
+  [/…/g, "..."],
+  [/[\u00a0\u202f]/g, " "],
+];
+
+function plain(text) {
+  return PUNCTUATION.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text));
+}
+
+// A job-like entry: title, subtitle and meta on lines of their own, then text and bullets
+const renderEntry = (entry) => [entry.title, ...[entry.subtitle, entry.meta, entry.text].filter(Boolean), ...entry.bullets.map((bullet) => `- ${bullet}`), ""];
+
+// Section renderers keyed by layout (see cv-sections.js); section is { id, title, layout, entries }
+const SECTION_RENDERERS = {
+  summary: (cvData) => [cvData.summary],
+  experience: (cvData) =>
+    cvData.experience.flatMap((job) => [
+      job.title,
+      job.company,
+      ...[job.location, job.dates].filter(Boolean),
+      ...job.achievements.map((ach) => `- ${ach}`),
+      "",
+    ]),
+  // "Cloud: AWS, Terraform", one line per group
+  skills: (cvData) => skillGroups(cvData).map((group) => `${group.category ? `${group.category}: ` : ""}${group.items.join(", ")}`),
+  education: (cvData) =>
+    cvData.education.flatMap((edu) => [edu.degree, ...[edu.institution, edu.dates, edu.details].filter(Boolean), ""]),
+  entries: (cvData, section) => section.entries.flatMap(renderEntry),
+  list: (cvData, section) =>
+    section.entries.map((entry) => {
+      const detail = listDetail(entry);
+      return `- ${[entry.title, detail].filter(Boolean).join(": ")}`;
+    }),
+};
+
+async function generateCVText(cvData, { language, region } = {}) {
+  const info = cvData.personalInfo;
+  const { sections: titles, contact } = getLanguage(language);
+  const lines = [info.fullName];
+  for (const key of ["email", "phone", "location", "linkedin"]) {
+    if (info[key]) lines.push(`${contact[key]}: ${info[key]}`);
+  }
+  for (const [label, value] of personalDetails(info, region, language)) lines.push(`${label}: ${value}`);
+
+  for (const section of resolveSections(SECTION_ORDER, cvData, titles)) {
+    lines.push("", section.title, ...SECTION_RENDERERS[section.layout](cvData, section));
+  }
+  return Buffer.from(plain(lines.join("\n").replace(/\n{3,}/g, "\n\n").trim()) + "\n");
+}
+
+async function generateTextPlain(title, body) {
+  return Buffer.from(plain(body.replace(/\r\n/g, "\n").trim()) + "\n");
+}
+
+module.exports = { generateCVText, generateTextPlain };
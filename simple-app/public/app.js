@@ -14,24 +14,197 @@ const toastMessage = document.getElementById('toastMessage');
 
 // New Elements
 const formatBtns = document.querySelectorAll('.format-btn');
+const templateBtns = document.querySelectorAll('.template-btn');
+const languageBtns = document.querySelectorAll('.language-btn');
+const regionBtns = document.querySelectorAll('.region-btn');
+const pageFitBtns = document.querySelectorAll('.page-fit-btn');
+const toneBtns = document.querySelectorAll('.tone-btn');
+const lengthBtns = document.querySelectorAll('.length-btn');
 const generateCV = document.getElementById('generateCV');
 const generateCoverLetter = document.getElementById('generateCoverLetter');
 const generateEmail = document.getElementById('generateEmail');
+const bundleZip = document.getElementById('bundleZip');
+const redactPII = document.getElementById('redactPII');
+const redactionNote = document.getElementById('redactionNote');
 const resultsGrid = document.getElementById('resultsGrid');
+const downloadBundleBtn = document.getElementById('downloadBundle');
+const modeBtns = document.querySelectorAll('.mode-btn');
+const batchJobs = document.getElementById('batchJobs');
+const batchCsv = document.getElementById('batchCsv');
+const batchCsvInfo = document.getElementById('batchCsvInfo');
+const batchProgress = document.getElementById('batchProgress');
+const batchRows = document.getElementById('batchRows');
+const batchSummary = document.getElementById('batchSummary');
+const downloadBatchBtn = document.getElementById('downloadBatch');
 const cvCard = document.getElementById('cvCard');
 const coverLetterCard = document.getElementById('coverLetterCard');
 const emailCard = document.getElementById('emailCard');
+const matchReport = document.getElementById('matchReport');
+const cvEditor = document.getElementById('cvEditor');
+const cvEditorForm = document.getElementById('cvEditorForm');
+const loadingText = document.getElementById('loadingText');
+const jobTitle = document.getElementById('jobTitle');
+const company = document.getElementById('company');
+const jobUrl = document.getElementById('jobUrl');
+const importJobBtn = document.getElementById('importJobBtn');
+const historyList = document.getElementById('historyList');
+const profileSelect = document.getElementById('profileSelect');
+const profilePicker = document.querySelector('.profile-picker');
+const editProfileBtn = document.getElementById('editProfileBtn');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+
+// Result cards keyed by document type, matching the server's event types
+const resultCards = {
+    cv: { card: cvCard, preview: 'previewCV', status: 'cvStatus' },
+    coverLetter: { card: coverLetterCard, preview: 'previewCoverLetter', status: 'coverLetterStatus' },
+    email: { card: emailCard, preview: 'previewEmail', status: 'emailStatus' }
+};
 
 // State
 let results = null;
-let selectedFormat = 'docx';
+let selectedFormats = ['docx'];
+let selectedTemplate = 'classic';
+let selectedLanguage = 'en';
+let selectedRegion = 'uk';
+let selectedPageFit = 'auto';
+let selectedTone = 'formal';
+let selectedLength = 'medium';
+let mode = 'single';
+let batchBundle = null;
+let editedCV = null;
+let editorSave = null;
+let editorFlags = new Map();
+
+// Optional CV sections (lib/cv-sections.js on the server): how the preview shows an item and which fields
+// the editor offers; `list` is an array field edited one item per line
+const EXTRA_SECTIONS = [
+    {
+        key: 'projects', heading: 'Projects', item: 'Project', list: 'highlights',
+        fields: [['name', 'Project name'], ['role', 'Role'], ['dates', 'Dates'], ['link', 'Link'], ['description', 'Description', true]],
+        preview: p => ({ title: [p.name, p.role].filter(Boolean).join(' | '), meta: [p.dates, p.link].filter(Boolean).join(' | '), text: p.description })
+    },
+    {
+        key: 'certifications', heading: 'Certifications', item: 'Certification',
+        fields: [['name', 'Certification'], ['issuer', 'Issuer'], ['date', 'Date']],
+        preview: c => ({ title: c.name, meta: [c.issuer, c.date].filter(Boolean).join(' | ') })
+    },
+    {
+        key: 'languages', heading: 'Languages', item: 'Language',
+        fields: [['language', 'Language'], ['proficiency', 'Proficiency (e.g. Native, C1)']],
+        preview: l => ({ title: l.language, meta: l.proficiency })
+    },
+    {
+        key: 'publications', heading: 'Publications', item: 'Publication',
+        fields: [['title', 'Title'], ['publisher', 'Publisher'], ['date', 'Date'], ['link', 'Link']],
+        preview: p => ({ title: p.title, meta: [p.publisher, p.date, p.link].filter(Boolean).join(' | ') })
+    },
+    {
+        key: 'volunteering', heading: 'Volunteering', item: 'Role', list: 'achievements',
+        fields: [['role', 'Role'], ['organization', 'Organisation'], ['location', 'Location'], ['dates', 'Dates']],
+        preview: v => ({ title: `${v.role} | ${v.organization}`, meta: [v.location, v.dates].filter(Boolean).join(' | ') })
+    },
+    {
+        key: 'awards', heading: 'Awards', item: 'Award',
+        fields: [['title', 'Award'], ['issuer', 'Issuer'], ['date', 'Date']],
+        preview: a => ({ title: a.title, meta: [a.issuer, a.date].filter(Boolean).join(' | ') })
+    },
+    {
+        key: 'customSections', heading: 'Other Sections', item: 'Section', list: 'items',
+        fields: [['title', 'Section title (e.g. Interests)']]
+    }
+];
+
+// Skills are edited one group per line: "Cloud: AWS, Terraform" (no category before a colon for an ungrouped list)
+function formatSkillGroups(groups) {
+    return groups.map(group => (group.category ? `${group.category}: ` : '') + group.items.join(', ')).join('\n');
+}
 
-// Format Toggle Logic
+function parseSkillGroups(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => {
+        const colon = line.indexOf(':');
+        const items = colon === -1 ? line : line.slice(colon + 1);
+        return {
+            category: colon === -1 ? '' : line.slice(0, colon).trim(),
+            items: items.split(',').map(skill => skill.trim()).filter(Boolean)
+        };
+    });
+}
+
+// Mirrors the server's accepted extensions; the server still checks the actual file content
+const CV_EXTENSIONS = ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.txt', '.md', '.markdown', '.json'];
+
+// Format Toggle Logic - several formats can be selected, but never none
 formatBtns.forEach(btn => {
     btn.addEventListener('click', () => {
-        formatBtns.forEach(b => b.classList.remove('active'));
+        const format = btn.dataset.format;
+        if (selectedFormats.includes(format)) {
+            if (selectedFormats.length === 1) return;
+            selectedFormats = selectedFormats.filter(f => f !== format);
+        } else {
+            selectedFormats.push(format);
+        }
+        btn.classList.toggle('active', selectedFormats.includes(format));
+    });
+});
+
+// Mode Toggle Logic - batch mode swaps the single job fields for a list of jobs
+modeBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        mode = btn.dataset.mode;
+        modeBtns.forEach(b => b.classList.toggle('active', b === btn));
+        cvForm.classList.toggle('batch-mode', mode === 'batch');
+        jobDescription.required = mode === 'single';
+        if (mode === 'batch' && !batchJobs.children.length) addBatchJob();
+    });
+});
+
+// Template Toggle Logic
+templateBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        templateBtns.forEach(b => b.classList.remove('active'));
         btn.classList.add('active');
-        selectedFormat = btn.dataset.format;
+        selectedTemplate = btn.dataset.template;
+    });
+});
+
+// Language Toggle Logic
+languageBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        languageBtns.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        selectedLanguage = btn.dataset.language;
+    });
+});
+
+// Region Toggle Logic
+regionBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        regionBtns.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        selectedRegion = btn.dataset.region;
+    });
+});
+
+// PDF page fit toggle
+pageFitBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        pageFitBtns.forEach(b => b.classList.toggle('active', b === btn));
+        selectedPageFit = btn.dataset.pageFit;
+    });
+});
+
+// Cover letter & email tone and length toggles
+toneBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        toneBtns.forEach(b => b.classList.toggle('active', b === btn));
+        selectedTone = btn.dataset.tone;
+    });
+});
+
+lengthBtns.forEach(btn => {
+    btn.addEventListener('click', () => {
+        lengthBtns.forEach(b => b.classList.toggle('active', b === btn));
+        selectedLength = btn.dataset.length;
     });
 });
 
@@ -52,35 +225,634 @@ function togglePreview(type) {
     }
 }
 
-// Properly convert base64 to binary and download
-function downloadFile(base64Data, fileName, format) {
+// Build an error message from an API error body, listing invalid CV fields if any
+function apiErrorMessage(data, fallback) {
+    let message = data.error || fallback;
+    if (data.fields && data.fields.length) {
+        message += ': ' + data.fields.map(f => `${f.path || 'CV'} ${f.message}`).join(', ');
+    }
+    return message;
+}
+
+// Render keyword chips; gained keywords are the ones the tailored CV added
+function renderKeywords(containerId, keywords, className, gained = []) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    if (!keywords.length) {
+        container.textContent = 'None';
+        return;
+    }
+    keywords.forEach(keyword => {
+        const chip = document.createElement('span');
+        chip.className = 'keyword-chip ' + className + (gained.includes(keyword) ? ' gained' : '');
+        chip.textContent = keyword;
+        if (gained.includes(keyword)) chip.title = 'Added by tailoring';
+        container.appendChild(chip);
+    });
+}
+
+// Show before/after ATS keyword match
+function renderMatchReport(analysis) {
+    if (!analysis || !analysis.keywords.length) {
+        matchReport.classList.remove('active');
+        return;
+    }
+    document.getElementById('scoreOriginal').textContent = analysis.original.score + '%';
+    document.getElementById('scoreTailored').textContent = analysis.tailored.score + '%';
+    renderKeywords('matchedKeywords', analysis.tailored.matched, 'matched', analysis.gained);
+    renderKeywords('missingKeywords', analysis.tailored.missing, 'missing');
+    matchReport.classList.add('active');
+}
+
+const REDACTION_LABELS = {
+    name: 'name',
+    email: 'email address',
+    phone: 'phone number',
+    address: 'address',
+    link: 'profile link',
+    dateOfBirth: 'date of birth',
+    placeOfBirth: 'place of birth',
+    nationality: 'nationality',
+    maritalStatus: 'marital status'
+};
+
+// What a redacted run kept from the AI provider; null when redaction was off
+function renderRedaction(redaction) {
+    if (!redaction) {
+        redactionNote.classList.remove('active');
+        return;
+    }
+    const hidden = [...new Set(redaction.map(item => REDACTION_LABELS[item.type] || item.type))];
+    redactionNote.textContent = hidden.length
+        ? `Hidden from the AI provider: ${hidden.join(', ')}. Your documents contain the real details.`
+        : 'Personal details were to be hidden from the AI provider, but none were found in your CV.';
+    redactionNote.classList.add('active');
+}
+
+// Fact-check warnings whose path is prefix itself or anything nested under it
+function warningsFor(warnings, prefix) {
+    return warnings.filter(w => w.path === prefix || w.path.startsWith(prefix + '.') || w.path.startsWith(prefix + '['));
+}
+
+function renderFactWarnings(warnings) {
+    const list = createElement('div', 'fact-warnings');
+    warnings.forEach(w => list.appendChild(createElement('div', 'fact-warning', '⚠ ' + w.message)));
+    return list;
+}
+
+// Readable CV preview with fact-check warnings next to the entries they refer to
+function renderCVPreview(cvData, warnings = []) {
+    const preview = document.getElementById('previewCV');
+    preview.innerHTML = '';
+    const add = (element, ...paths) => {
+        const flags = paths.flatMap(path => warningsFor(warnings, path));
+        if (flags.length) element.classList.add('fact-flagged');
+        preview.appendChild(element);
+        if (flags.length) preview.appendChild(renderFactWarnings(flags));
+    };
+
+    const info = cvData.personalInfo;
+    add(createElement('div', 'preview-name', info.fullName));
+    add(createElement('div', 'preview-meta', [info.email, info.phone, info.location, info.linkedin].filter(Boolean).join(' | ')));
+    if (cvData.summary) add(createElement('p', null, cvData.summary), 'summary');
+
+    if (cvData.experience.length) add(createElement('div', 'preview-heading', 'Experience'));
+    cvData.experience.forEach((job, i) => {
+        add(createElement('div', 'preview-title', `${job.title} | ${job.company}`), `experience[${i}].title`, `experience[${i}].company`);
+        const meta = [job.location, job.dates].filter(Boolean).join(' | ');
+        if (meta) add(createElement('div', 'preview-meta', meta), `experience[${i}].dates`);
+        job.achievements.forEach((achievement, j) => add(createElement('div', 'preview-bullet', '• ' + achievement), `experience[${i}].achievements[${j}]`));
+    });
+
+    const skillGroups = cvData.skills.filter(group => group.items.length);
+    if (skillGroups.length) add(createElement('div', 'preview-heading', 'Skills'));
+    skillGroups.forEach(group => {
+        add(createElement('p', null, (group.category ? `${group.category}: ` : '') + group.items.join(' • ')), `skills[${cvData.skills.indexOf(group)}]`);
+    });
+
+    if (cvData.education.length) add(createElement('div', 'preview-heading', 'Education'));
+    cvData.education.forEach((edu, i) => {
+        add(createElement('div', 'preview-title', edu.degree), `education[${i}].degree`);
+        add(createElement('div', 'preview-meta', [edu.institution, edu.dates].filter(Boolean).join(' | ')), `education[${i}].institution`, `education[${i}].dates`);
+        if (edu.details) add(createElement('div', null, edu.details));
+    });
+
+    EXTRA_SECTIONS.forEach(section => {
+        const items = cvData[section.key] || [];
+        // Custom sections are headed by their own titles
+        if (items.length && section.preview) add(createElement('div', 'preview-heading', section.heading));
+        items.forEach((item, i) => {
+            const path = `${section.key}[${i}]`;
+            if (!section.preview) {
+                add(createElement('div', 'preview-heading', item.title));
+            } else {
+                const { title, meta, text } = section.preview(item);
+                add(createElement('div', 'preview-title', title), path);
+                if (meta) add(createElement('div', 'preview-meta', meta));
+                if (text) add(createElement('div', null, text));
+            }
+            (section.list ? item[section.list] : []).forEach((bullet, j) => {
+                add(createElement('div', 'preview-bullet', '• ' + bullet), `${path}.${section.list}[${j}]`);
+            });
+        });
+    });
+}
+
+// CV editor helpers - inputs write straight into editedCV, structural changes re-render the form
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createInput(target, key, placeholder, multiline = false) {
+    const input = createElement(multiline ? 'textarea' : 'input');
+    if (!multiline) input.type = 'text';
+    input.placeholder = placeholder;
+    input.value = target[key] || '';
+    input.addEventListener('input', () => { target[key] = input.value; });
+    return input;
+}
+
+function createButton(label, className, onClick, disabled = false) {
+    const button = createElement('button', className, label);
+    button.type = 'button';
+    button.disabled = disabled;
+    button.addEventListener('click', () => {
+        onClick();
+        renderEditor();
+    });
+    return button;
+}
+
+function moveItem(list, from, to) {
+    const [item] = list.splice(from, 1);
+    list.splice(to, 0, item);
+}
+
+function createEditorSection(title) {
+    const section = createElement('div', 'editor-section');
+    section.appendChild(createElement('h5', null, title));
+    return section;
+}
+
+// Warnings travel with the entry object, so they stay attached when entries are reordered
+function appendEditorFlags(container, target) {
+    const flags = editorFlags.get(target);
+    if (flags && flags.length) container.appendChild(renderFactWarnings(flags));
+}
+
+function renderExperienceEntry(job, index) {
+    const entry = createElement('div', 'editor-entry');
+    appendEditorFlags(entry, job);
+    const fields = createElement('div', 'editor-fields');
+    fields.appendChild(createInput(job, 'title', 'Job title'));
+    fields.appendChild(createInput(job, 'company', 'Company'));
+    fields.appendChild(createInput(job, 'location', 'Location'));
+    fields.appendChild(createInput(job, 'dates', 'Dates'));
+    entry.appendChild(fields);
+
+    job.achievements.forEach((achievement, i) => {
+        const row = createElement('div', 'bullet-row');
+        row.appendChild(createInput(job.achievements, i, 'Achievement', true));
+        row.appendChild(createButton('↑', 'editor-icon-btn', () => moveItem(job.achievements, i, i - 1), i === 0));
+        row.appendChild(createButton('↓', 'editor-icon-btn', () => moveItem(job.achievements, i, i + 1), i === job.achievements.length - 1));
+        row.appendChild(createButton('✕', 'editor-icon-btn editor-remove-btn', () => job.achievements.splice(i, 1)));
+        entry.appendChild(row);
+    });
+
+    entry.appendChild(createButton('+ Add Bullet', 'editor-add-btn', () => job.achievements.push('')));
+    entry.appendChild(createButton('Remove Position', 'editor-add-btn editor-remove-btn', () => editedCV.experience.splice(index, 1)));
+    return entry;
+}
+
+function renderEducationEntry(edu, index) {
+    const entry = createElement('div', 'editor-entry');
+    appendEditorFlags(entry, edu);
+    const fields = createElement('div', 'editor-fields');
+    fields.appendChild(createInput(edu, 'degree', 'Degree'));
+    fields.appendChild(createInput(edu, 'institution', 'Institution'));
+    fields.appendChild(createInput(edu, 'dates', 'Dates'));
+    fields.appendChild(createInput(edu, 'details', 'Details'));
+    entry.appendChild(fields);
+    entry.appendChild(createButton('Remove Education', 'editor-add-btn editor-remove-btn', () => editedCV.education.splice(index, 1)));
+    return entry;
+}
+
+// One item of an optional section: its fields, the list field as a textarea (one item per line) and a remove button
+function renderExtraEntry(section, item, index) {
+    const entry = createElement('div', 'editor-entry');
+    appendEditorFlags(entry, item);
+    const fields = createElement('div', 'editor-fields');
+    section.fields.forEach(([key, label, multiline]) => fields.appendChild(createInput(item, key, label, multiline)));
+    entry.appendChild(fields);
+    if (section.list) {
+        const lines = createElement('textarea');
+        lines.placeholder = section.key === 'customSections' ? 'One item per line' : 'One bullet per line';
+        lines.value = item[section.list].join('\n');
+        lines.addEventListener('input', () => { item[section.list] = lines.value.split('\n'); });
+        entry.appendChild(lines);
+    }
+    entry.appendChild(createButton(`Remove ${section.item}`, 'editor-add-btn editor-remove-btn', () => editedCV[section.key].splice(index, 1)));
+    return entry;
+}
+
+function renderEditor() {
+    cvEditorForm.innerHTML = '';
+
+    const personal = createEditorSection('Personal Information');
+    appendEditorFlags(personal, 'personalInfo');
+    const personalFields = createElement('div', 'editor-fields');
+    [['fullName', 'Full name'], ['email', 'Email'], ['phone', 'Phone'], ['location', 'Location'], ['linkedin', 'LinkedIn']]
+        .forEach(([key, label]) => personalFields.appendChild(createInput(editedCV.personalInfo, key, label)));
+    // Only Europass and Lebenslauf CVs show these; other regions leave them out
+    [['dateOfBirth', 'Date of birth (Europass, Lebenslauf)'], ['placeOfBirth', 'Place of birth (Lebenslauf)'], ['nationality', 'Nationality (Europass, Lebenslauf)'], ['maritalStatus', 'Marital status (Lebenslauf)']]
+        .forEach(([key, label]) => personalFields.appendChild(createInput(editedCV.personalInfo, key, label)));
+    personal.appendChild(personalFields);
+    cvEditorForm.appendChild(personal);
+
+    const summary = createEditorSection('Professional Summary');
+    appendEditorFlags(summary, 'summary');
+    summary.appendChild(createInput(editedCV, 'summary', 'Summary', true));
+    cvEditorForm.appendChild(summary);
+
+    const experience = createEditorSection('Professional Experience');
+    editedCV.experience.forEach((job, i) => experience.appendChild(renderExperienceEntry(job, i)));
+    experience.appendChild(createButton('+ Add Position', 'editor-add-btn', () => {
+        editedCV.experience.push({ title: '', company: '', location: '', dates: '', achievements: [''] });
+    }));
+    cvEditorForm.appendChild(experience);
+
+    const skills = createEditorSection('Skills');
+    appendEditorFlags(skills, 'skills');
+    const skillsInput = createElement('textarea');
+    skillsInput.placeholder = 'One group per line, e.g. "Cloud: AWS, Terraform"';
+    skillsInput.value = formatSkillGroups(editedCV.skills);
+    skillsInput.addEventListener('input', () => {
+        editedCV.skills = parseSkillGroups(skillsInput.value);
+    });
+    skills.appendChild(skillsInput);
+    cvEditorForm.appendChild(skills);
+
+    const education = createEditorSection('Education');
+    editedCV.education.forEach((edu, i) => education.appendChild(renderEducationEntry(edu, i)));
+    education.appendChild(createButton('+ Add Education', 'editor-add-btn', () => {
+        editedCV.education.push({ degree: '', institution: '', dates: '', details: '' });
+    }));
+    cvEditorForm.appendChild(education);
+
+    EXTRA_SECTIONS.forEach(section => {
+        const container = createEditorSection(section.heading);
+        editedCV[section.key].forEach((item, i) => container.appendChild(renderExtraEntry(section, item, i)));
+        container.appendChild(createButton(`+ Add ${section.item}`, 'editor-add-btn', () => {
+            const item = Object.fromEntries(section.fields.map(([key]) => [key, '']));
+            if (section.list) item[section.list] = [];
+            editedCV[section.key].push(item);
+        }));
+        cvEditorForm.appendChild(container);
+    });
+}
+
+// Open the shared CV editor on a copy of cvData; onSave receives the cleaned-up copy
+function openEditor(cvData, { title, hint, saveLabel, onSave, warnings = [] }) {
+    editedCV = JSON.parse(JSON.stringify(cvData));
+    editorSave = onSave;
+    editorFlags = new Map([
+        ['personalInfo', warningsFor(warnings, 'personalInfo')],
+        ['summary', warningsFor(warnings, 'summary')],
+        ['skills', warningsFor(warnings, 'skills')]
+    ]);
+    editedCV.experience.forEach((job, i) => editorFlags.set(job, warningsFor(warnings, `experience[${i}]`)));
+    editedCV.education.forEach((edu, i) => editorFlags.set(edu, warningsFor(warnings, `education[${i}]`)));
+    EXTRA_SECTIONS.forEach(({ key }) => {
+        editedCV[key].forEach((item, i) => editorFlags.set(item, warningsFor(warnings, `${key}[${i}]`)));
+    });
+    document.getElementById('cvEditorTitle').textContent = title;
+    document.getElementById('cvEditorHint').textContent = hint;
+    document.getElementById('saveCVLabel').textContent = saveLabel;
+    renderEditor();
+    cvEditor.classList.add('active');
+    cvEditor.scrollIntoView({ behavior: 'smooth' });
+}
+
+function openResultEditor() {
+    if (!results || !results.cv || !results.cv.data) return;
+    openEditor(results.cv.data, {
+        title: 'Edit Tailored CV',
+        hint: 'Fix details or remove bullets, then download again. No new AI generation is needed.',
+        saveLabel: 'Save & Download CV',
+        onSave: saveEditedCV,
+        warnings: results.verification ? results.verification.warnings : []
+    });
+}
+
+async function saveEditor() {
+    const saveBtn = document.getElementById('saveCV');
+    saveBtn.disabled = true;
     try {
-        if (!base64Data) {
-            showToast('No file data available');
-            return;
+        const cvData = JSON.parse(JSON.stringify(editedCV));
+        cvData.experience.forEach(job => {
+            job.achievements = job.achievements.map(a => a.trim()).filter(Boolean);
+        });
+        EXTRA_SECTIONS.filter(section => section.list).forEach(section => {
+            cvData[section.key].forEach(item => {
+                item[section.list] = item[section.list].map(line => line.trim()).filter(Boolean);
+            });
+        });
+        await editorSave(cvData);
+    } catch (error) {
+        console.error('Save error:', error);
+        showToast(error.message || 'Failed to save CV.');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Send the edited CV back for rendering only (no AI call) and download the result
+async function saveEditedCV(cvData) {
+    const response = await fetch('/api/render-cv', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cvData, formats: selectedFormats, template: selectedTemplate, language: selectedLanguage, region: selectedRegion, pageFit: selectedPageFit })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(apiErrorMessage(data, 'Failed to render CV'));
+    }
+
+    // Warning paths no longer line up once entries are edited, so the preview drops them
+    results.cv = { ...results.cv, ...data };
+    results.verification = null;
+    renderCVPreview(data.data);
+    setCardState('cv', 'ready');
+    downloadDocument(data);
+}
+
+// Master profiles - upload once, correct, then tailor from the stored structured CV
+async function loadProfiles(selectId = profileSelect.value) {
+    try {
+        const response = await fetch('/api/profiles');
+        const data = await response.json();
+        profileSelect.length = 1;
+        (data.profiles || []).forEach(profile => {
+            const option = createElement('option', null, profile.name);
+            option.value = profile.id;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = selectId || '';
+        updateProfileSelection();
+    } catch (error) {
+        console.warn('Could not load profiles:', error);
+    }
+}
+
+// With a profile selected the upload is not needed
+function updateProfileSelection() {
+    const hasProfile = Boolean(profileSelect.value);
+    profilePicker.classList.toggle('has-profile', hasProfile);
+    uploadZone.classList.toggle('hidden', hasProfile);
+    cvFile.required = !hasProfile;
+    saveProfileBtn.classList.toggle('active', !hasProfile && Boolean(cvFile.files[0]));
+}
+
+function openProfileEditor(profile) {
+    openEditor(profile.cvData, {
+        title: 'Edit Master Profile: ' + profile.name,
+        hint: 'Correct anything the extraction got wrong. Every tailored CV is generated from this profile.',
+        saveLabel: 'Save Profile',
+        onSave: async cvData => {
+            const response = await fetch(`/api/profiles/${profile.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ cvData })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(apiErrorMessage(data, 'Failed to save profile'));
+            showToast('Profile saved!', true, 3000);
+            cvEditor.classList.remove('active');
         }
-        
-        const binaryString = atob(base64Data);
-        const len = binaryString.length;
-        const bytes = new Uint8Array(len);
-        
-        for (let i = 0; i < len; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+    });
+}
+
+async function saveUploadAsProfile() {
+    if (!cvFile.files[0]) return;
+    saveProfileBtn.disabled = true;
+    saveProfileBtn.textContent = 'Extracting profile...';
+    try {
+        const formData = new FormData();
+        formData.append('cv', cvFile.files[0]);
+        formData.append('redact', redactPII.checked);
+        const response = await fetch('/api/profiles', { method: 'POST', body: formData });
+        const data = await response.json();
+        if (!response.ok) throw new Error(apiErrorMessage(data, 'Failed to create profile'));
+
+        cvFile.value = '';
+        fileInfo.classList.remove('active');
+        await loadProfiles(data.profile.id);
+        openProfileEditor(data.profile);
+    } catch (error) {
+        showToast(error.message);
+    } finally {
+        saveProfileBtn.disabled = false;
+        saveProfileBtn.textContent = 'Save as Master Profile';
+    }
+}
+
+// Fill the job fields from a job-posting page
+async function importJobPosting() {
+    const url = jobUrl.value.trim();
+    if (!url) {
+        showToast('Paste a job posting URL first.');
+        return;
+    }
+    importJobBtn.disabled = true;
+    importJobBtn.textContent = 'Importing...';
+    try {
+        const response = await fetch('/api/job-posting', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(apiErrorMessage(data, 'Failed to import the job posting'));
+
+        jobDescription.value = data.description;
+        if (data.title) jobTitle.value = data.title;
+        if (data.company) company.value = data.company;
+        const where = data.location ? ` (${data.location})` : '';
+        showToast(`Imported ${data.title || 'job posting'}${where}. Check the description before generating.`, true);
+    } catch (error) {
+        showToast(error.message);
+    } finally {
+        importJobBtn.disabled = false;
+        importJobBtn.textContent = 'Import';
+    }
+}
+
+async function editSelectedProfile() {
+    try {
+        const response = await fetch(`/api/profiles/${profileSelect.value}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load profile');
+        openProfileEditor(data.profile);
+    } catch (error) {
+        showToast(error.message);
+    }
+}
+
+// Card state while streaming: pending -> ready | failed
+function setCardState(type, state, message = '') {
+    const { card, status } = resultCards[type];
+    card.classList.remove('pending', 'failed');
+    if (state !== 'ready') card.classList.add(state);
+    document.getElementById(status).textContent = message;
+}
+
+// Read a text/event-stream response body, calling onEvent(name, data) for every event
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const raw = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = 'message';
+            let data = '';
+            raw.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            onEvent(event, data ? JSON.parse(data) : null);
         }
-        
-        let mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-        if (format === 'pdf') {
-            mimeType = 'application/pdf';
+    }
+}
+
+// History panel - past runs are re-rendered by the server on download
+async function loadHistory() {
+    try {
+        const response = await fetch('/api/runs');
+        const data = await response.json();
+        renderHistory(data.runs || []);
+    } catch (error) {
+        console.warn('Could not load history:', error);
+    }
+}
+
+function renderHistory(runs) {
+    historyList.innerHTML = '';
+    if (!runs.length) {
+        historyList.appendChild(createElement('p', 'history-empty', 'No applications generated yet.'));
+        return;
+    }
+
+    const labels = { cv: 'CV', coverLetter: 'Letter', email: 'Email' };
+    runs.forEach(run => {
+        const item = createElement('div', 'history-item');
+        const row = createElement('div', 'history-row');
+
+        const info = createElement('div');
+        const title = [run.jobTitle || 'Untitled role', run.company].filter(Boolean).join(' at ');
+        info.appendChild(createElement('span', 'history-title', title));
+        const meta = [new Date(run.createdAt).toLocaleString(), run.candidateName];
+        if (run.score !== null) meta.push(`ATS match ${run.score}%`);
+        info.appendChild(createElement('span', 'history-meta', meta.join(' · ')));
+        row.appendChild(info);
+
+        const actions = createElement('div', 'history-actions');
+        run.documents.forEach(type => {
+            const button = createElement('button', 'editor-icon-btn', labels[type]);
+            button.type = 'button';
+            button.title = `Download ${labels[type]} as ${selectedFormats[0].toUpperCase()}`;
+            button.addEventListener('click', () => {
+                window.location.href = `/api/runs/${run.id}/download/${type}?format=${selectedFormats[0]}`;
+            });
+            actions.appendChild(button);
+        });
+
+        const details = createElement('div', 'preview-content history-details');
+        const viewBtn = createElement('button', 'editor-icon-btn', 'View');
+        viewBtn.type = 'button';
+        viewBtn.addEventListener('click', () => toggleRunDetails(run.id, details));
+        actions.appendChild(viewBtn);
+
+        const deleteBtn = createElement('button', 'editor-icon-btn editor-remove-btn', 'Delete');
+        deleteBtn.type = 'button';
+        deleteBtn.addEventListener('click', () => deleteRun(run.id));
+        actions.appendChild(deleteBtn);
+
+        row.appendChild(actions);
+        item.appendChild(row);
+        item.appendChild(details);
+        historyList.appendChild(item);
+    });
+}
+
+async function toggleRunDetails(id, details) {
+    if (details.classList.contains('active')) {
+        details.classList.remove('active');
+        return;
+    }
+    try {
+        const response = await fetch(`/api/runs/${id}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load application');
+
+        const { run } = data;
+        const parts = ['JOB DESCRIPTION\n' + run.jobDescription];
+        if (run.verification && run.verification.warnings.length) {
+            parts.push('FACT CHECK\n' + run.verification.warnings.map(w => '⚠ ' + w.message).join('\n'));
         }
-        
-        const blob = new Blob([bytes], { type: mimeType });
-        saveAs(blob, fileName);
-        showToast(fileName + ' downloaded!', true, 3000);
-        
+        if (run.coverLetter) parts.push('COVER LETTER\n' + run.coverLetter);
+        if (run.email) parts.push('APPLICATION EMAIL\n' + (run.emailSubject ? 'Subject: ' + run.emailSubject + '\n\n' : '') + run.email);
+        details.textContent = parts.join('\n\n');
+        details.classList.add('active');
     } catch (error) {
-        console.error('Download error:', error);
-        showToast('Download failed: ' + error.message);
+        showToast(error.message);
+    }
+}
+
+async function deleteRun(id) {
+    if (!confirm('Delete this application from history?')) return;
+    try {
+        const response = await fetch(`/api/runs/${id}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error((await response.json()).error || 'Failed to delete');
+        loadHistory();
+    } catch (error) {
+        showToast(error.message);
+    }
+}
+
+// Download every requested format of a generated document
+function downloadDocument(doc) {
+    (doc.files || []).forEach(downloadFile);
+}
+
+// Files are served from short-lived URLs; let the browser download them directly
+function downloadFile(file) {
+    if (!file || !file.url) {
+        showToast('No file available');
+        return;
     }
+    if (file.expiresAt && new Date(file.expiresAt) <= new Date()) {
+        showToast('This download link has expired. Generate the documents again or download them from History.');
+        return;
+    }
+
+    const link = document.createElement('a');
+    link.href = file.url;
+    link.download = file.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    showToast(file.fileName + ' downloaded!', true, 3000);
 }
 
 // Handle file selection
@@ -90,6 +862,7 @@ cvFile.addEventListener('change', (e) => {
         fileName.textContent = file.name;
         fileInfo.classList.add('active');
     }
+    updateProfileSelection();
 });
 
 // Click on upload zone opens file picker
@@ -106,6 +879,7 @@ removeFile.addEventListener('click', (e) => {
     e.stopPropagation();
     cvFile.value = '';
     fileInfo.classList.remove('active');
+    updateProfileSelection();
 });
 
 // Drag and drop
@@ -124,14 +898,15 @@ uploadZone.addEventListener('drop', (e) => {
     const files = e.dataTransfer.files;
     if (files.length > 0) {
         const file = files[0];
-        if (file.type === 'application/pdf' || file.name.endsWith('.docx')) {
+        if (CV_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
             const dt = new DataTransfer();
             dt.items.add(file);
             cvFile.files = dt.files;
             fileName.textContent = file.name;
             fileInfo.classList.add('active');
+            updateProfileSelection();
         } else {
-            showToast('Please upload a PDF or DOCX file.');
+            showToast('Please upload a PDF, Word, ODT, RTF, text, Markdown or JSON Resume file.');
         }
     }
 });
@@ -140,15 +915,201 @@ uploadZone.addEventListener('drop', (e) => {
 resetBtn.addEventListener('click', () => {
     cvForm.reset();
     fileInfo.classList.remove('active');
+    updateProfileSelection();
     resultsSection.classList.remove('active');
+    batchProgress.classList.remove('active');
+    cvEditor.classList.remove('active');
+    setBatchCsv(null);
     results = null;
+    editedCV = null;
     document.querySelectorAll('.preview-content').forEach(p => p.classList.remove('active'));
     window.scrollTo({ top: 0, behavior: 'smooth' });
 });
 
+// Options shared by single and batch runs
+function readOptions() {
+    return {
+        cv: generateCV.checked,
+        coverLetter: generateCoverLetter.checked,
+        email: generateEmail.checked,
+        formats: selectedFormats,
+        template: selectedTemplate,
+        language: selectedLanguage,
+        region: selectedRegion,
+        pageFit: selectedPageFit,
+        letter: {
+            tone: selectedTone,
+            length: selectedLength,
+            hiringManager: document.getElementById('hiringManager').value,
+            company: document.getElementById('letterCompany').value,
+            whyCompany: document.getElementById('whyCompany').value,
+            highlights: document.getElementById('letterHighlights').value
+        },
+        bundle: bundleZip.checked,
+        redact: redactPII.checked
+    };
+}
+
+// Batch mode: one editable row per job, or a CSV file sent as-is and parsed by the server
+function addBatchJob(job = {}) {
+    const row = document.createElement('div');
+    row.className = 'batch-job';
+
+    const head = document.createElement('div');
+    head.className = 'batch-job-head';
+    const title = document.createElement('input');
+    title.className = 'text-input batch-job-title';
+    title.placeholder = 'Job title (optional)';
+    title.value = job.jobTitle || '';
+    const employer = document.createElement('input');
+    employer.className = 'text-input batch-job-company';
+    employer.placeholder = 'Company (optional)';
+    employer.value = job.company || '';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'editor-icon-btn';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => row.remove());
+    head.append(title, employer, remove);
+
+    const description = document.createElement('textarea');
+    description.className = 'batch-job-description';
+    description.placeholder = 'Paste the job description here...';
+    description.value = job.jobDescription || '';
+
+    row.append(head, description);
+    batchJobs.appendChild(row);
+    return row;
+}
+
+function readBatchJobs() {
+    return [...batchJobs.querySelectorAll('.batch-job')]
+        .map(row => ({
+            jobTitle: row.querySelector('.batch-job-title').value.trim(),
+            company: row.querySelector('.batch-job-company').value.trim(),
+            jobDescription: row.querySelector('.batch-job-description').value.trim()
+        }))
+        .filter(job => job.jobDescription);
+}
+
+function setBatchCsv(file) {
+    batchCsvInfo.classList.toggle('active', Boolean(file));
+    batchJobs.style.display = file ? 'none' : '';
+    document.getElementById('batchCsvName').textContent = file ? `Jobs will be read from ${file.name}` : '';
+    if (!file) batchCsv.value = '';
+}
+
+// Progress table: one row per job, updated from the stream's "job" events
+function renderBatchRow(job) {
+    let row = batchRows.querySelector(`tr[data-index="${job.index}"]`);
+    if (!row) {
+        row = document.createElement('tr');
+        row.dataset.index = job.index;
+        for (let i = 0; i < 5; i++) row.appendChild(document.createElement('td'));
+        batchRows.appendChild(row);
+    }
+    const [number, label, status, match, facts] = row.children;
+    number.textContent = job.index + 1;
+    label.textContent = [job.jobTitle, job.company].filter(Boolean).join(' at ') || `Job ${job.index + 1}`;
+
+    const labels = { queued: 'Queued', running: 'Tailoring...', done: 'Done', failed: 'Failed', cancelled: 'Cancelled' };
+    status.className = 'batch-status ' + job.status;
+    status.textContent = labels[job.status];
+    status.title = job.error || Object.values(job.errors || {}).join('; ');
+    if (job.status === 'done' && Object.keys(job.errors || {}).length) status.textContent = 'Done (with errors)';
+
+    match.textContent = job.analysis ? `${job.analysis.original}% → ${job.analysis.tailored}%` : '';
+    facts.textContent = job.status === 'done' ? (job.warnings ? `⚠ ${job.warnings}` : '0') : '';
+}
+
+async function submitBatch() {
+    if (!profileSelect.value && !cvFile.files[0]) {
+        showToast('Please upload your CV or choose a saved profile.');
+        return;
+    }
+    const options = readOptions();
+    if (!options.cv && !options.coverLetter && !options.email) {
+        showToast('Please select at least one document to generate.');
+        return;
+    }
+
+    const formData = new FormData();
+    if (batchCsv.files[0]) {
+        formData.append('jobsCsv', await batchCsv.files[0].text());
+    } else {
+        const jobs = readBatchJobs();
+        if (!jobs.length) {
+            showToast('Add at least one job description.');
+            return;
+        }
+        formData.append('jobs', JSON.stringify(jobs));
+    }
+    if (profileSelect.value) {
+        formData.append('profileId', profileSelect.value);
+    } else {
+        formData.append('cv', cvFile.files[0]);
+    }
+    formData.append('options', JSON.stringify(options));
+
+    submitBtn.classList.add('loading');
+    submitBtn.disabled = true;
+    loadingText.textContent = 'Tailoring your CV for every job...';
+    resultsSection.classList.remove('active');
+    cvEditor.classList.remove('active');
+    downloadBatchBtn.classList.remove('active');
+    batchRows.innerHTML = '';
+    batchBundle = null;
+
+    try {
+        const response = await fetch('/api/tailor-cv/batch', { method: 'POST', body: formData });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(apiErrorMessage(data, 'Failed to start the batch'));
+        }
+
+        let fatalError = null;
+        let total = 0;
+        let finished = 0;
+        await readEventStream(response, (event, data) => {
+            if (event === 'batch') {
+                total = data.jobs.length;
+                data.jobs.forEach(renderBatchRow);
+                batchSummary.textContent = `0 of ${total} jobs finished`;
+                batchProgress.classList.add('active');
+                batchProgress.scrollIntoView({ behavior: 'smooth' });
+            } else if (event === 'job') {
+                renderBatchRow(data);
+                if (['done', 'failed', 'cancelled'].includes(data.status)) {
+                    finished++;
+                    batchSummary.textContent = `${finished} of ${total} jobs finished`;
+                }
+            } else if (event === 'bundle') {
+                batchBundle = data;
+                downloadBatchBtn.classList.add('active');
+            } else if (event === 'done') {
+                batchSummary.textContent = `${data.completed} of ${total} jobs tailored` + (data.failed ? `, ${data.failed} failed` : '');
+                loadHistory();
+            } else if (event === 'error') {
+                fatalError = apiErrorMessage(data, 'Batch failed');
+            }
+        });
+
+        if (fatalError) throw new Error(fatalError);
+        showToast('Batch complete. Download the ZIP for every document and the summary sheet.', true);
+    } catch (error) {
+        console.error('Error:', error);
+        showToast(error.message || 'Batch failed. Please try again.');
+    } finally {
+        submitBtn.classList.remove('loading');
+        submitBtn.disabled = false;
+        loadingText.textContent = 'Optimizing Content...';
+    }
+}
+
 // Form submission
 cvForm.addEventListener('submit', async (e) => {
     e.preventDefault();
+    if (mode === 'batch') return submitBatch();
     
     if (!jobDescription.value.trim()) {
         showToast('Please enter a job description.');
@@ -156,17 +1117,12 @@ cvForm.addEventListener('submit', async (e) => {
         return;
     }
     
-    if (!cvFile.files[0]) {
-        showToast('Please upload your CV.');
+    if (!profileSelect.value && !cvFile.files[0]) {
+        showToast('Please upload your CV or choose a saved profile.');
         return;
     }
 
-    const options = {
-        cv: generateCV.checked,
-        coverLetter: generateCoverLetter.checked,
-        email: generateEmail.checked,
-        format: selectedFormat
-    };
+    const options = readOptions();
 
     if (!options.cv && !options.coverLetter && !options.email) {
         showToast('Please select at least one document to generate.');
@@ -176,83 +1132,167 @@ cvForm.addEventListener('submit', async (e) => {
     submitBtn.classList.add('loading');
     submitBtn.disabled = true;
     resultsSection.classList.remove('active');
+    batchProgress.classList.remove('active');
+    cvEditor.classList.remove('active');
+    downloadBundleBtn.classList.remove('active');
     
     const formData = new FormData();
     formData.append('jobDescription', jobDescription.value.trim());
-    formData.append('cv', cvFile.files[0]);
+    formData.append('jobTitle', jobTitle.value.trim());
+    formData.append('company', company.value.trim());
+    if (profileSelect.value) {
+        formData.append('profileId', profileSelect.value);
+    } else {
+        formData.append('cv', cvFile.files[0]);
+    }
     formData.append('options', JSON.stringify(options));
-    
+
+    // Prepare one card per requested document; they fill in as events arrive
+    results = { errors: {} };
+    Object.keys(resultCards).forEach(type => {
+        resultCards[type].card.style.display = options[type] ? 'block' : 'none';
+        document.getElementById(resultCards[type].preview).textContent = '';
+        if (options[type]) setCardState(type, 'pending', 'Generating...');
+    });
+    document.getElementById('emailSubject').textContent = '';
+
+    // Update grid columns based on number of visible cards
+    const visibleCount = [options.cv, options.coverLetter, options.email].filter(Boolean).length;
+    resultsGrid.style.gridTemplateColumns = `repeat(${visibleCount}, 1fr)`;
+    if (window.innerWidth <= 768) {
+        resultsGrid.style.gridTemplateColumns = '1fr';
+    }
+
     try {
-        const response = await fetch('/api/tailor-cv', {
+        loadingText.textContent = 'Reading your CV...';
+        const response = await fetch('/api/tailor-cv/stream', {
             method: 'POST',
             body: formData
         });
-        
-        const data = await response.json();
-        
+
         if (!response.ok) {
-            throw new Error(data.error || 'Failed to process CV');
+            const data = await response.json();
+            throw new Error(apiErrorMessage(data, 'Failed to process CV'));
         }
-        
-        results = data;
-        
-        // Update results UI visibility
-        cvCard.style.display = options.cv ? 'block' : 'none';
-        coverLetterCard.style.display = options.coverLetter ? 'block' : 'none';
-        emailCard.style.display = options.email ? 'block' : 'none';
-
-        // Update grid columns based on number of visible cards
-        const visibleCount = [options.cv, options.coverLetter, options.email].filter(Boolean).length;
-        resultsGrid.style.gridTemplateColumns = `repeat(${visibleCount}, 1fr)`;
-        if (window.innerWidth <= 768) {
-            resultsGrid.style.gridTemplateColumns = '1fr';
+
+        let fatalError = null;
+        await readEventStream(response, (event, data) => {
+            if (event === 'parsed') {
+                loadingText.textContent = 'Tailoring your CV...';
+            } else if (event === 'cv-data') {
+                loadingText.textContent = 'Writing documents...';
+                results.analysis = data.analysis;
+                results.verification = data.verification;
+                renderMatchReport(data.analysis);
+                renderRedaction(data.redaction);
+                resultsSection.classList.add('active');
+                resultsSection.scrollIntoView({ behavior: 'smooth' });
+            } else if (event === 'document') {
+                results[data.type] = data;
+                if (data.type === 'cv') {
+                    const { warnings } = results.verification;
+                    renderCVPreview(data.data, warnings);
+                    setCardState('cv', 'ready', warnings.length ? `⚠ ${warnings.length} fact(s) to double-check` : '');
+                } else {
+                    document.getElementById(resultCards[data.type].preview).textContent = data.preview;
+                    if (data.type === 'email') document.getElementById('emailSubject').textContent = 'Subject: ' + data.subject;
+                    setCardState(data.type, 'ready');
+                }
+            } else if (event === 'document-error') {
+                results.errors[data.type] = data.error;
+                setCardState(data.type, 'failed', 'Failed: ' + data.error);
+            } else if (event === 'bundle') {
+                results.bundle = data;
+                downloadBundleBtn.classList.add('active');
+            } else if (event === 'saved') {
+                results.runId = data.runId;
+                loadHistory();
+            } else if (event === 'error') {
+                fatalError = apiErrorMessage(data, 'Failed to process CV');
+            }
+        });
+
+        if (fatalError) throw new Error(fatalError);
+
+        const failed = Object.keys(results.errors).length;
+        if (failed) {
+            showToast(`${failed} document(s) failed to generate. The others are ready to download.`);
+        } else {
+            showToast('Documents generated successfully!', true);
         }
-        
-        // Update previews
-        if (data.cv) document.getElementById('previewCV').textContent = data.cv.preview;
-        if (data.coverLetter) document.getElementById('previewCoverLetter').textContent = data.coverLetter.preview;
-        if (data.email) document.getElementById('previewEmail').textContent = data.email.preview;
-        
-        // Show results
-        resultsSection.classList.add('active');
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
-        
-        showToast('Documents generated successfully!', true);
-        
+
     } catch (error) {
         console.error('Error:', error);
         showToast(error.message || 'Failed to process CV. Please try again.');
     } finally {
         submitBtn.classList.remove('loading');
         submitBtn.disabled = false;
+        loadingText.textContent = 'Optimizing Content...';
     }
 });
 
 // Download button handlers
 document.getElementById('downloadCV').addEventListener('click', () => {
     if (results && results.cv) {
-        downloadFile(results.cv.fileData, results.cv.fileName, selectedFormat);
+        downloadDocument(results.cv);
+    }
+});
+
+document.getElementById('editCV').addEventListener('click', openResultEditor);
+document.getElementById('saveCV').addEventListener('click', saveEditor);
+profileSelect.addEventListener('change', updateProfileSelection);
+editProfileBtn.addEventListener('click', editSelectedProfile);
+saveProfileBtn.addEventListener('click', saveUploadAsProfile);
+importJobBtn.addEventListener('click', importJobPosting);
+jobUrl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        importJobPosting();
     }
 });
+document.getElementById('closeEditor').addEventListener('click', () => cvEditor.classList.remove('active'));
 
 document.getElementById('downloadCoverLetter').addEventListener('click', () => {
     if (results && results.coverLetter) {
-        downloadFile(results.coverLetter.fileData, results.coverLetter.fileName, selectedFormat);
+        downloadDocument(results.coverLetter);
     }
 });
 
 document.getElementById('downloadEmail').addEventListener('click', () => {
     if (results && results.email) {
-        downloadFile(results.email.fileData, results.email.fileName, selectedFormat);
+        downloadDocument(results.email);
     }
 });
 
-// Health check
+document.getElementById('addBatchJob').addEventListener('click', () => addBatchJob().querySelector('input').focus());
+batchCsv.addEventListener('change', () => setBatchCsv(batchCsv.files[0]));
+document.getElementById('removeBatchCsv').addEventListener('click', () => setBatchCsv(null));
+
+downloadBatchBtn.addEventListener('click', () => {
+    if (batchBundle) downloadFile(batchBundle);
+});
+
+downloadBundleBtn.addEventListener('click', () => {
+    if (results && results.bundle) {
+        downloadFile(results.bundle);
+    }
+});
+
+// Health check; a server that always redacts personal details keeps the option on
 fetch('/api/health')
     .then(r => r.json())
-    .then(d => console.log('API Health:', d))
+    .then(d => {
+        console.log('API Health:', d);
+        if (d.redaction === 'always') {
+            redactPII.checked = true;
+            redactPII.disabled = true;
+        }
+    })
     .catch(e => console.warn('API not available:', e));
 
+loadHistory();
+loadProfiles();
+
 // Update year automatically
 document.getElementById('currentYear').textContent = new Date().getFullYear();
 
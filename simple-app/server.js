@@ -3,427 +3,847 @@ const express = require("express");
 const multer = require("multer");
 const cors = require("cors");
 const path = require("path");
-const fs = require("fs");
-const axios = require("axios");
-const mammoth = require("mammoth");
-const pdfParse = require("pdf-parse");
-const PDFDocument = require("pdfkit");
-const {
-  Document,
-  Packer,
-  Paragraph,
-  TextRun,
-  HeadingLevel,
-  AlignmentType,
-  BorderStyle,
-} = require("docx");
+const { callLLM, getLLMConfig } = require("./lib/llm");
+const { CVValidationError, parseCV, validateCV, schemaExample, formatErrors } = require("./lib/cv-schema");
+const { getTemplate, listTemplates } = require("./lib/templates");
+const { FORMATS, resolveFormats, listFormats } = require("./lib/formats");
+const { PageFitError, getPageFit } = require("./lib/pdf-renderer");
+const { analyzeMatch, cvDataToText } = require("./lib/keywords");
+const { verifyCV } = require("./lib/fact-check");
+const { getLanguage, listLanguages, languageInstruction, detectLanguage } = require("./lib/i18n");
+const { getRegion, listRegions, regionInstruction, applyRegion } = require("./lib/regions");
+const { parseLetterOptions, letterInstructions, checkLetterText, parseEmail } = require("./lib/letters");
+const { FENCE_RULE, createFence, hasFenceMarkers } = require("./lib/prompt-fence");
+const { REDACTION_RULE, createRedactor } = require("./lib/redaction");
+const { createJsonStore } = require("./lib/store");
+const { SUPPORTED_EXTENSIONS, CVFileError, detectFileType, parseCVBuffer } = require("./lib/parsers");
+const { createDownloadStore } = require("./lib/downloads");
+const { jobText, buildZip } = require("./lib/bundle");
+const { JobPostingError, fetchJobPosting } = require("./lib/job-posting");
+const { parseBatchJobs, runWithConcurrency, jobFolderName, summaryCsv } = require("./lib/batch");
+const { createJobQueue, TERMINAL } = require("./lib/job-queue");
+const { jobFieldsError } = require("./lib/limits");
+const { createRateLimiter } = require("./lib/rate-limit");
+const { createAuth } = require("./lib/auth");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const CV_REPAIR_ATTEMPTS = 2;
+// Runs and profiles saved before the CV schema grew (grouped skills, extra sections) are brought up to date on load
+const upgradeCVData = (record) => ({ ...record, cvData: validateCV(record.cvData).value });
+const runs = createJsonStore("runs", { upgrade: upgradeCVData });
+const profiles = createJsonStore("profiles", { upgrade: upgradeCVData });
+const downloads = createDownloadStore({
+  ttlMs: (Number(process.env.DOWNLOAD_TTL_MINUTES) || 15) * 60 * 1000,
+  maxEntries: Number(process.env.DOWNLOAD_MAX_FILES) || 2000,
+  maxBytes: (Number(process.env.DOWNLOAD_MAX_MB) || 256) * 1024 * 1024,
+});
+// Jobs tailored at the same time in a batch run; keeps LLM rate limits in check
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 2);
+// REDACT_PII=true hides personal details from the LLM provider on every run, whatever the client asks for
+const REDACT_PII = process.env.REDACT_PII === "true";
+const jobQueue = createJobQueue({
+  concurrency: Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2),
+  timeoutMs: (Number(process.env.JOB_TIMEOUT_MINUTES) || 10) * 60 * 1000,
+  store: process.env.JOB_PERSIST === "true" ? createJsonStore("jobs") : null,
+});
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static("public"));
+// Behind a reverse proxy, TRUST_PROXY (e.g. "1" or "loopback") makes req.ip the client's address for rate limiting
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
-// Create necessary directories
-const uploadsDir = path.join(__dirname, "uploads");
-if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
+// CORS_ORIGINS: comma-separated origins allowed to call the API from other sites, or "*" for any.
+// Unset, no CORS headers are sent and only the app's own pages can use the API from a browser.
+const corsOrigins = (process.env.CORS_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean);
+const auth = createAuth({
+  apiKey: process.env.API_KEY,
+  basicUser: process.env.BASIC_AUTH_USER,
+  basicPassword: process.env.BASIC_AUTH_PASSWORD,
+  open: ["/api/health"],
+});
+// Requests per client IP and window for the routes that call the LLM or fetch pages, and for the API overall;
+// a limit of 0 turns it off
+const limitFromEnv = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value));
+const rateLimitWindowMs = (Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const generationLimit = createRateLimiter({
+  windowMs: rateLimitWindowMs,
+  max: limitFromEnv(process.env.RATE_LIMIT_MAX, 30),
+  message: "Too many generation requests, please wait a few minutes and try again",
+});
+const apiLimit = createRateLimiter({ windowMs: rateLimitWindowMs, max: limitFromEnv(process.env.RATE_LIMIT_API_MAX, 600) });
 
-// Configure multer
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadsDir),
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  },
+// Middleware
+app.use((req, res, next) => {
+  res.set({ "X-Content-Type-Options": "nosniff", "X-Frame-Options": "DENY", "Referrer-Policy": "no-referrer" });
+  next();
 });
+if (corsOrigins.length) app.use(cors({ origin: corsOrigins.includes("*") ? "*" : corsOrigins }));
+if (auth) app.use(auth);
+app.use("/api", apiLimit);
+app.use(express.json({ limit: "1mb" }));
+app.use(express.static("public"));
+
+// Uploads stay in memory and are gone with the request, whatever happens to it
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UNSUPPORTED_UPLOAD = "Unsupported file type. Upload a PDF, DOCX, DOC, ODT, RTF, TXT, Markdown or JSON Resume file.";
 
+// Only a first pass on the extension; sniffUpload checks the content
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ["application/pdf", "application/vnd.openxmlformats-officedocument.wordprocessingml.document"];
-  if (allowedTypes.includes(file.mimetype)) {
+  if (SUPPORTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
     cb(null, true);
   } else {
-    cb(new Error("Invalid file type. Only PDF and DOCX files are allowed."), false);
+    cb(new CVFileError(UNSUPPORTED_UPLOAD, 415), false);
   }
 };
 
-const upload = multer({ storage, fileFilter, limits: { fileSize: 10 * 1024 * 1024 } });
-
-// Parse CV content
-async function parseCVContent(filePath, mimeType) {
-  const buffer = fs.readFileSync(filePath);
-  if (mimeType === "application/pdf") {
-    const data = await pdfParse(buffer);
-    return data.text;
-  } else {
-    const result = await mammoth.extractRawText({ buffer });
-    return result.value;
-  }
-}
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fieldSize: 1024 * 1024 },
+});
 
-// DeepSeek API call
-async function callDeepSeek(systemPrompt, userPrompt, maxTokens = 4000) {
-  const response = await axios.post(
-    "https://api.deepseek.com/chat/completions",
-    {
-      model: "deepseek-chat",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      temperature: 0.5,
-      max_tokens: maxTokens,
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-        "Content-Type": "application/json",
-      },
+// The uploaded CV as `req.file`, its type detected from the content (the client's mimetype is not trusted)
+const uploadCV = [
+  upload.single("cv"),
+  async (req, res, next) => {
+    if (!req.file) return next();
+    try {
+      const type = await detectFileType(req.file.buffer, req.file.originalname);
+      next(type ? undefined : new CVFileError(UNSUPPORTED_UPLOAD, 415));
+    } catch (err) {
+      next(err);
     }
-  );
-  return response.data.choices[0].message.content;
-}
+  },
+];
 
-// Generate tailored CV - returns structured JSON
-async function generateTailoredCV(cvContent, jobDescription) {
+// Generate tailored CV in the output language, following the region's conventions - returns schema-validated structured data.
+// `redacted` CVs carry placeholders for personal details that the model has to keep.
+async function generateTailoredCV(cvContent, jobDescription, { language, region, redacted, signal } = {}) {
+  const fence = createFence();
   const prompt = `You are a professional CV writer. Analyze the original CV and tailor it for the target job.
 
 ORIGINAL CV:
-${cvContent}
+${fence("CV", cvContent)}
 
 TARGET JOB DESCRIPTION:
-${jobDescription}
+${fence("JOB_DESCRIPTION", jobDescription)}
 
 INSTRUCTIONS:
-1. Extract candidate's EXACT name, email, phone, location from CV
+1. Extract candidate's EXACT name, email, phone, location and LinkedIn/profile URL from CV
 2. Create professional summary (3-4 sentences)
 3. Rewrite bullet points for experience to match target job
-4. List relevant skills
-5. Include EXACT education details
+4. List relevant skills grouped into categories (e.g. "Languages", "Cloud"); use the CV's own categories if it has them
+5. Include EXACT education details, with grades, honours or thesis in details
+6. Keep projects, certifications, languages (with proficiency), publications, volunteering and awards from the original CV that are relevant to the target job; put any other section (e.g. interests, memberships) in customSections with its own title. Leave a section as an empty array when the CV has none
+7. Never invent employers, job titles, dates, degrees, certifications, projects, publications, awards or numbers that are not in the original CV
+8. Lines like "=== EXPERIENCE ===" mark the sections detected in the original document; use them to tell sections apart
+9. ${languageInstruction(language)} Keep the JSON keys in English.
+10. ${regionInstruction(region)}
+11. ${FENCE_RULE}${redacted ? `\n12. ${REDACTION_RULE}` : ""}
 
 OUTPUT FORMAT (JSON):
-{
-  "personalInfo": { "fullName": "...", "email": "...", "phone": "...", "location": "...", "linkedin": "..." },
-  "summary": "...",
-  "experience": [ { "title": "...", "company": "...", "location": "...", "dates": "...", "achievements": ["..."] } ],
-  "skills": ["..."],
-  "education": [ { "degree": "...", "institution": "...", "dates": "...", "details": "..." } ]
-}
+${JSON.stringify(schemaExample(), null, 2)}
 
 Return ONLY valid JSON.`;
 
-  return await callDeepSeek("You are an expert CV writer. Always output JSON.", prompt, 4000);
+  return await requestStructuredCV(prompt, signal);
 }
 
-async function generateCoverLetter(cvContent, jobDescription, candidateName) {
-  const prompt = `Write a professional cover letter for ${candidateName} for this job:\n${jobDescription}\nOriginal CV Context:\n${cvContent}`;
-  return await callDeepSeek("You write professional cover letters without placeholders or asterisks.", prompt, 2048);
+// Extract an uploaded CV into the structured schema as-is, for storing as a master profile
+async function extractProfileCV(cvContent, { redacted } = {}) {
+  const prompt = `Convert the CV below into structured JSON. Do NOT rewrite, summarise or tailor anything.
+
+ORIGINAL CV:
+${createFence()("CV", cvContent)}
+
+INSTRUCTIONS:
+1. Copy name, contact details, job titles, companies, dates and education EXACTLY as written
+2. Keep every experience entry and every bullet point, word for word
+3. Use the CV's own summary/profile text if it has one, otherwise leave summary empty
+4. List every skill mentioned, grouped under the CV's own categories (leave category empty if it has none)
+5. Copy projects, certifications, languages, publications, volunteering and awards into their sections, and any other section into customSections under its own title
+6. Lines like "=== EXPERIENCE ===" mark the sections detected in the original document; use them to tell sections apart
+7. ${FENCE_RULE}${redacted ? `\n8. ${REDACTION_RULE}` : ""}
+
+OUTPUT FORMAT (JSON):
+${JSON.stringify(schemaExample(), null, 2)}
+
+Return ONLY valid JSON.`;
+
+  return await requestStructuredCV(prompt);
 }
 
-async function generateApplicationEmail(cvContent, jobDescription, candidateName) {
-  const prompt = `Write a professional application email for ${candidateName} for this job:\n${jobDescription}`;
-  return await callDeepSeek("You write professional job application emails without placeholders or asterisks.", prompt, 1024);
+// Schema validation, plus a check that the model did not copy the prompt's fence markers into the CV
+function parseGeneratedCV(response) {
+  const { value, errors } = parseCV(response);
+  if (value && hasFenceMarkers(JSON.stringify(value))) errors.push({ path: "", message: "must not contain <<<...>>> markers" });
+  return { value, errors };
 }
 
-// DOCX Generators
-async function generateCVDocx(cvData) {
-  const children = [
-    new Paragraph({
-      children: [
-        new TextRun({
-          text: cvData.personalInfo.fullName.toUpperCase(),
-          bold: true,
-          size: 40,
-          font: "Calibri",
-          color: "1a365d",
-        }),
-      ],
-      alignment: AlignmentType.CENTER,
-      spacing: { after: 120 },
-    }),
-    new Paragraph({
-      children: [
-        new TextRun({
-          text: `${cvData.personalInfo.email} | ${cvData.personalInfo.phone} | ${cvData.personalInfo.location}`,
-          size: 20,
-          font: "Calibri",
-          color: "4a5568",
-        }),
-      ],
-      alignment: AlignmentType.CENTER,
-      spacing: { after: 300 },
-    }),
-    // Horizontal divider
-    new Paragraph({
-      border: {
-        bottom: { color: "1a365d", space: 1, style: BorderStyle.SINGLE, size: 12 },
-      },
-      spacing: { after: 300 },
-    })
-  ];
-
-  // Professional Summary
-  children.push(
-    new Paragraph({
-      children: [
-        new TextRun({
-          text: "PROFESSIONAL SUMMARY",
-          bold: true,
-          size: 24,
-          font: "Calibri",
-          color: "1a365d",
-        }),
-      ],
-      spacing: { before: 200, after: 120 },
-      border: {
-        bottom: { color: "e2e8f0", space: 1, style: BorderStyle.SINGLE, size: 6 },
-      },
-    }),
-    new Paragraph({
-      children: [new TextRun({ text: cvData.summary, size: 22, font: "Calibri" })],
-      spacing: { after: 200 },
-    })
-  );
+// Ask the "cv" task for schema-valid JSON, re-asking with the validation errors a bounded number of times
+async function requestStructuredCV(prompt, signal) {
+  const systemPrompt = "You are an expert CV writer. Always output JSON.";
+  let response = await callLLM("cv", systemPrompt, prompt, { signal });
+  let { value, errors } = parseGeneratedCV(response);
 
-  // Experience
-  children.push(
-    new Paragraph({
-      children: [
-        new TextRun({
-          text: "PROFESSIONAL EXPERIENCE",
-          bold: true,
-          size: 24,
-          font: "Calibri",
-          color: "1a365d",
-        }),
-      ],
-      spacing: { before: 200, after: 120 },
-      border: {
-        bottom: { color: "e2e8f0", space: 1, style: BorderStyle.SINGLE, size: 6 },
-      },
-    })
-  );
+  for (let attempt = 1; errors.length && attempt <= CV_REPAIR_ATTEMPTS; attempt++) {
+    const repairPrompt = `${prompt}
 
-  for (const job of cvData.experience) {
-    children.push(
-      new Paragraph({
-        children: [
-          new TextRun({ text: job.title, bold: true, size: 22, font: "Calibri" }),
-          new TextRun({ text: "  |  ", size: 22, font: "Calibri", color: "a0aec0" }),
-          new TextRun({ text: job.company, size: 22, font: "Calibri", italics: true }),
-        ],
-        spacing: { before: 150, after: 60 },
-      }),
-      new Paragraph({
-        children: [
-          new TextRun({
-            text: `${job.location} | ${job.dates}`,
-            size: 20,
-            font: "Calibri",
-            color: "718096",
-          }),
-        ],
-        spacing: { after: 80 },
-      })
-    );
-    for (const ach of job.achievements) {
-      children.push(
-        new Paragraph({
-          children: [new TextRun({ text: "• " + ach, size: 21, font: "Calibri" })],
-          spacing: { after: 60 },
-          indent: { left: 360 },
-        })
-      );
-    }
+Your previous answer was:
+${response}
+
+It failed validation with these errors:
+${formatErrors(errors)}
+
+Fix every error and return the complete corrected JSON only.`;
+    response = await callLLM("cv", systemPrompt, repairPrompt, { signal });
+    ({ value, errors } = parseGeneratedCV(response));
   }
 
-  // Skills
-  children.push(
-    new Paragraph({
-      children: [
-        new TextRun({
-          text: "SKILLS",
-          bold: true,
-          size: 24,
-          font: "Calibri",
-          color: "1a365d",
-        }),
-      ],
-      spacing: { before: 200, after: 120 },
-      border: {
-        bottom: { color: "e2e8f0", space: 1, style: BorderStyle.SINGLE, size: 6 },
-      },
-    }),
-    new Paragraph({
-      children: [new TextRun({ text: cvData.skills.join("  •  "), size: 21, font: "Calibri" })],
-      spacing: { after: 200 },
-    })
-  );
+  if (errors.length) throw new CVValidationError("The generated CV did not match the expected structure", errors);
+  return value;
+}
+
+// letter: tone, length, addressee and emphasis from parseLetterOptions (see letters.js)
+async function generateCoverLetter(cvContent, jobDescription, candidateName, { language, letter, redacted, signal } = {}) {
+  const fence = createFence();
+  const prompt = `Write a cover letter for ${candidateName} for the job below.
+
+JOB DESCRIPTION:
+${fence("JOB_DESCRIPTION", jobDescription)}
 
-  // Education
-  children.push(
-    new Paragraph({
-      children: [
-        new TextRun({
-          text: "EDUCATION",
-          bold: true,
-          size: 24,
-          font: "Calibri",
-          color: "1a365d",
-        }),
-      ],
-      spacing: { before: 200, after: 120 },
-      border: {
-        bottom: { color: "e2e8f0", space: 1, style: BorderStyle.SINGLE, size: 6 },
-      },
-    })
+ORIGINAL CV:
+${fence("CV", cvContent)}
+
+INSTRUCTIONS:
+${letterInstructions(letter, "coverLetter", fence)}
+- Only mention experience, achievements and numbers that appear in the original CV
+- ${languageInstruction(language)}
+- ${FENCE_RULE}${redacted ? `\n- ${REDACTION_RULE}` : ""}`;
+  const text = await callLLM("coverLetter", "You write professional cover letters without placeholders or asterisks.", prompt, { signal });
+  return checkLetterText(text, letter, "coverLetter");
+}
+
+// Resolves to { subject, body }; the subject falls back to "<job title> - <name>" if the model leaves it out
+async function generateApplicationEmail(cvContent, jobDescription, candidateName, { jobTitle, language, letter, redacted, signal } = {}) {
+  const fence = createFence();
+  const prompt = `Write an application email for ${candidateName} for the job below.
+
+JOB DESCRIPTION:
+${fence("JOB_DESCRIPTION", jobDescription)}
+
+ORIGINAL CV:
+${fence("CV", cvContent)}
+
+INSTRUCTIONS:
+- Start with the subject line, written as "Subject: ...", then a blank line, then the email itself
+${letterInstructions(letter, "email", fence)}
+- Only mention experience, achievements and numbers that appear in the original CV
+- ${languageInstruction(language)}
+- ${FENCE_RULE}${redacted ? `\n- ${REDACTION_RULE}` : ""}`;
+  const text = await callLLM("email", "You write professional job application emails without placeholders or asterisks.", prompt, { signal });
+  const email = parseEmail(text, [jobTitle, candidateName].filter(Boolean).join(" - "));
+  checkLetterText(email.body, letter, "email");
+  if (hasFenceMarkers(email.subject)) throw new Error("The generated subject line was not usable");
+  return email;
+}
+
+// Render structured CV data to the requested file format, with headings and dates in the output language
+// and the region's layout and caps; PDFs are fitted to the page fit's page count. The region is applied here,
+// not to the stored data, so a run re-rendered for another region keeps everything the user supplied.
+async function renderCV(cvData, format, { template, language, region, pageFit }) {
+  return FORMATS[format].renderCV(applyRegion(cvData, region), { template, language, region, pageFit });
+}
+
+// File names stay in English whatever the output language; titles come from the language (see i18n.js)
+const DOCUMENT_LABELS = {
+  cv: { fileSuffix: "CV" },
+  coverLetter: { fileSuffix: "Cover_Letter" },
+  email: { fileSuffix: "Email" },
+};
+
+function documentFileName(cvData, type, format) {
+  return `${cvData.personalInfo.fullName}_${DOCUMENT_LABELS[type].fileSuffix}.${FORMATS[format].extension}`;
+}
+
+// Render a cover letter or email to the requested file format. Letters are addressed to the hiring manager
+// and company when given; emails carry their subject line.
+async function renderLetter(type, text, cvData, format, { template, language, letter, subject }) {
+  const title = getLanguage(language).documents[type];
+  if (type === "email") return FORMATS[format].renderLetter(title, text, cvData, { recipient: null, template, language, subject });
+  const recipient = letter && (letter.hiringManager || letter.company) ? [letter.hiringManager, letter.company].filter(Boolean) : undefined;
+  return FORMATS[format].renderLetter(title, text, cvData, { recipient, template, language });
+}
+
+// One rendered file per requested format: [{ format, fileName, mimeType, buffer }]
+async function renderFiles(cvData, type, formats, render) {
+  return Promise.all(
+    formats.map(async (format) => ({
+      format,
+      fileName: documentFileName(cvData, type, format),
+      mimeType: FORMATS[format].mimeType,
+      buffer: await render(format),
+    }))
   );
+}
+
+// Serve rendered files from short-lived download URLs; the first one also fills fileName/url for single-format clients
+function publishFiles(rendered) {
+  const files = rendered.map(({ format, ...file }) => ({ format, ...downloads.put(file) }));
+  return { fileName: files[0].fileName, url: files[0].url, files };
+}
+
+// The source CV is either an uploaded file or a stored master profile (already structured and user-corrected).
+// Profiles and JSON Resume uploads are already structured; everything else is plain extracted text.
+async function readSource({ cvFile, profile }) {
+  return profile ? { type: "profile", cvData: profile.cvData } : parseCVBuffer(cvFile.buffer, cvFile.originalname);
+}
 
-  for (const edu of cvData.education) {
-    children.push(
-      new Paragraph({
-        children: [new TextRun({ text: edu.degree, bold: true, size: 22, font: "Calibri" })],
-        spacing: { before: 100, after: 40 },
-      }),
-      new Paragraph({
-        children: [
-          new TextRun({
-            text: `${edu.institution} | ${edu.dates}`,
-            size: 20,
-            font: "Calibri",
-            color: "718096",
-          }),
-        ],
-        spacing: { after: 100 },
+// Run the whole tailoring pipeline, reporting each finished stage through onEvent(name, data).
+// A failing document is reported on its own and does not discard the others.
+// Batch runs pass the already-read `source` so the CV is parsed once for all jobs.
+// Aborting `signal` stops every pending LLM call; nothing is saved to history then.
+// With options.redact the provider only sees placeholders for personal details, restored in the results.
+async function runTailoring(
+  { source: preread, cvFile, profile, jobDescription, jobTitle, company, options, template, signal },
+  onEvent = () => {}
+) {
+  const source = preread || (await readSource({ cvFile, profile }));
+  const cvContent = source.cvData ? JSON.stringify(source.cvData, null, 2) : source.text;
+  const originalText = source.cvData ? cvDataToText(source.cvData) : cvContent;
+  // A CV in another language than the output is translated, which the fact check has to allow for
+  const { language, region, pageFit } = options;
+  // The job's company is the letter's default addressee
+  const letter = { ...options.letter, company: options.letter.company || (company || "").trim() };
+  const sourceLanguage = detectLanguage(originalText);
+  onEvent("parsed", { characters: cvContent.length, fileType: source.type, profileId: profile ? profile.id : null, language: sourceLanguage });
+
+  const redactor = options.redact ? createRedactor() : null;
+  if (redactor && source.cvData) redactor.addPersonalInfo(source.cvData.personalInfo);
+  const promptContent = redactor ? redactor.redact(cvContent) : cvContent;
+  const redaction = redactor ? redactor.report() : null;
+  const redacted = Boolean(redactor);
+  const restore = (value) => (redactor ? redactor.restore(value) : value);
+
+  const generated = await generateTailoredCV(promptContent, jobDescription, { language, region, redacted, signal });
+  const cvData = redactor ? redactor.restoreCV(generated) : generated;
+  const candidateName = cvData.personalInfo.fullName;
+  const promptName = redactor ? redactor.redact(candidateName) : candidateName;
+  const analysis = analyzeMatch(jobDescription, originalText, applyRegion(cvData, region));
+  const verification = verifyCV(cvData, cvContent, { translated: Boolean(sourceLanguage) && sourceLanguage !== language });
+  onEvent("cv-data", { data: cvData, analysis, verification, redaction });
+
+  const builders = {
+    cv: async () => ({
+      preview: JSON.stringify(cvData, null, 2),
+      data: cvData,
+      rendered: await renderFiles(cvData, "cv", options.formats, (format) => renderCV(cvData, format, { template, language, region, pageFit })),
+    }),
+    coverLetter: async () => {
+      const text = restore(await generateCoverLetter(promptContent, jobDescription, promptName, { language, letter, redacted, signal }));
+      const render = (format) => renderLetter("coverLetter", text, cvData, format, { template, language, letter });
+      return { preview: text, rendered: await renderFiles(cvData, "coverLetter", options.formats, render) };
+    },
+    email: async () => {
+      const { subject, body } = restore(
+        await generateApplicationEmail(promptContent, jobDescription, promptName, { jobTitle, language, letter, redacted, signal })
+      );
+      const render = (format) => renderLetter("email", body, cvData, format, { template, language, subject });
+      return { preview: body, subject, rendered: await renderFiles(cvData, "email", options.formats, render) };
+    },
+  };
+
+  const documents = {};
+  const rendered = {};
+  const errors = {};
+  await Promise.all(
+    Object.keys(builders)
+      .filter((type) => options[type])
+      .map(async (type) => {
+        try {
+          const { rendered: files, ...doc } = await builders[type]();
+          rendered[type] = files;
+          documents[type] = { ...doc, ...publishFiles(files) };
+          onEvent("document", { type, ...documents[type] });
+        } catch (err) {
+          errors[type] = err.message;
+          onEvent("document-error", { type, error: err.message });
+        }
       })
-    );
+  );
+
+  // Optional ZIP of every finished document in every format, plus the job description
+  let bundle = null;
+  if (options.bundle && Object.keys(rendered).length) {
+    try {
+      const entries = Object.keys(DOCUMENT_LABELS)
+        .filter((type) => rendered[type])
+        .flatMap((type) => rendered[type].map((file) => ({ path: file.fileName, buffer: file.buffer })));
+      entries.push({ path: "job.txt", buffer: Buffer.from(jobText({ jobTitle, company, jobDescription })) });
+      bundle = downloads.put({ fileName: `${candidateName}_Application.zip`, mimeType: "application/zip", buffer: await buildZip(entries) });
+      onEvent("bundle", bundle);
+    } catch (err) {
+      errors.bundle = err.message;
+      onEvent("document-error", { type: "bundle", error: err.message });
+    }
   }
 
-  const doc = new Document({
-    sections: [
-      {
-        properties: { margin: { top: 720, right: 720, bottom: 720, left: 720 } },
-        children,
-      },
-    ],
+  if (signal) signal.throwIfAborted();
+  const run = runs.insert({
+    jobTitle: (jobTitle || "").trim(),
+    company: (company || "").trim(),
+    jobDescription,
+    candidateName,
+    profileId: profile ? profile.id : null,
+    cvData,
+    coverLetter: documents.coverLetter ? documents.coverLetter.preview : null,
+    email: documents.email ? documents.email.preview : null,
+    emailSubject: documents.email ? documents.email.subject : null,
+    letter,
+    options,
+    analysis,
+    verification,
+    redaction,
   });
-  return await Packer.toBuffer(doc);
+  onEvent("saved", { runId: run.id });
+
+  return { runId: run.id, cvData, analysis, verification, redaction, documents, rendered, bundle, errors };
 }
 
-// PDF Generators
-async function generateCVPDF(cvData) {
-  return new Promise((resolve) => {
-    const doc = new PDFDocument({ margin: 40 });
-    let buffers = [];
-    doc.on("data", buffers.push.bind(buffers));
-    doc.on("end", () => resolve(Buffer.concat(buffers)));
-
-    // Header
-    doc.fillColor("#1a365d").fontSize(22).text(cvData.personalInfo.fullName.toUpperCase(), { align: "center" }).moveDown(0.2);
-    doc.fillColor("#4a5568").fontSize(10).text(`${cvData.personalInfo.email} | ${cvData.personalInfo.phone} | ${cvData.personalInfo.location}`, { align: "center" }).moveDown(1.5);
-
-    // Thick divider line
-    doc.strokeColor("#1a365d").lineWidth(2).moveTo(40, doc.y).lineTo(570, doc.y).stroke().moveDown(1.5);
-
-    const renderSectionHeader = (title) => {
-      doc.fillColor("#1a365d").fontSize(13).text(title, { bold: true }).moveDown(0.2);
-      doc.strokeColor("#e2e8f0").lineWidth(1).moveTo(40, doc.y).lineTo(570, doc.y).stroke().moveDown(0.8);
-    };
-
-    // Summary
-    renderSectionHeader("PROFESSIONAL SUMMARY");
-    doc.fillColor("#000000").fontSize(10.5).text(cvData.summary, { lineGap: 2 }).moveDown(1.5);
-
-    // Experience
-    renderSectionHeader("PROFESSIONAL EXPERIENCE");
-    for (const job of cvData.experience) {
-      doc.fillColor("#000000").fontSize(11).text(job.title, { continued: true, bold: true });
-      doc.fillColor("#a0aec0").text("  |  ", { continued: true });
-      doc.fillColor("#000000").text(job.company, { oblique: true }).moveDown(0.2);
-      
-      doc.fillColor("#718096").fontSize(9.5).text(`${job.location} | ${job.dates}`).moveDown(0.5);
-      
-      doc.fillColor("#000000").fontSize(10.5);
-      for (const ach of job.achievements) {
-        doc.text(`• ${ach}`, { indent: 15, lineGap: 1.5 });
+// Tailor one CV for every job through a concurrency-limited queue, reporting per-job status through onEvent.
+// Every job is saved to history like a single run; the ZIP has a folder per job and a summary sheet.
+// Once `signal` aborts, jobs still waiting are marked cancelled and no ZIP is built.
+async function runBatch({ cvFile, profile, options, template, signal }, jobs, onEvent = () => {}) {
+  const source = await readSource({ cvFile, profile });
+  const folders = jobs.map(jobFolderName);
+  onEvent("batch", {
+    jobs: jobs.map((job, index) => ({ index, jobTitle: job.jobTitle, company: job.company, folder: folders[index], status: "queued" })),
+  });
+
+  const entries = [];
+  let candidateName = null;
+  const results = await runWithConcurrency(jobs, BATCH_CONCURRENCY, async (job, index) => {
+    const summary = { index, jobTitle: job.jobTitle, company: job.company, folder: folders[index] };
+    if (signal && signal.aborted) {
+      onEvent("job", { ...summary, status: "cancelled" });
+      return { ...summary, status: "cancelled" };
+    }
+    onEvent("job", { ...summary, status: "running" });
+    try {
+      const result = await runTailoring({ source, profile, ...job, options: { ...options, bundle: false }, template, signal });
+      candidateName = candidateName || result.cvData.personalInfo.fullName;
+      for (const files of Object.values(result.rendered)) {
+        entries.push(...files.map((file) => ({ path: `${folders[index]}/${file.fileName}`, buffer: file.buffer })));
       }
-      doc.moveDown(1);
+      entries.push({ path: `${folders[index]}/job.txt`, buffer: Buffer.from(jobText(job)) });
+
+      const { original, tailored, improvement } = result.analysis;
+      Object.assign(summary, {
+        status: "done",
+        runId: result.runId,
+        analysis: { original: original.score, tailored: tailored.score, improvement, missing: tailored.missing },
+        warnings: result.verification.warnings.length,
+        errors: result.errors,
+      });
+    } catch (err) {
+      Object.assign(summary, signal && signal.aborted ? { status: "cancelled" } : { status: "failed", error: err.message });
     }
+    onEvent("job", summary);
+    return summary;
+  });
+  if (signal) signal.throwIfAborted();
+
+  entries.sort((a, b) => a.path.localeCompare(b.path));
+  entries.push({ path: "summary.csv", buffer: Buffer.from(summaryCsv(results)) });
+  const bundle = downloads.put({
+    fileName: `${candidateName || "Batch"}_Applications.zip`,
+    mimeType: "application/zip",
+    buffer: await buildZip(entries),
+  });
+  onEvent("bundle", bundle);
+
+  return { results, bundle };
+}
+
+// Response body for a finished tailoring run, shared by /api/tailor-cv and background jobs
+function tailoringResponse({ runId, analysis, verification, redaction, documents, bundle, errors }) {
+  return { runId, analysis, verification, redaction, ...documents, bundle, errors };
+}
+
+// Validate the multipart body shared by the tailoring routes; returns { error, status } or the pipeline input.
+// Batches bring their own job descriptions (see parseBatchJobs), so only single runs need `jobDescription`.
+function parseTailorRequest(req, { batch = false } = {}) {
+  const { jobDescription, jobTitle, company, profileId, options: optionsStr } = req.body;
+  let options;
+  try {
+    options = JSON.parse(optionsStr);
+  } catch (err) {
+    return { status: 400, error: "Invalid options JSON" };
+  }
+  if (!options || typeof options !== "object" || Array.isArray(options)) return { status: 400, error: "Invalid options JSON" };
+  const template = getTemplate(options.template);
+  if (!template) return { status: 400, error: `Unknown template "${options.template}"` };
+  // "format" may be a single id or a list; the first format is the one used for later re-downloads
+  const { formats, error: formatError } = resolveFormats(options.formats || options.format);
+  if (formatError) return { status: 400, error: formatError };
+  const language = getLanguage(options.language);
+  if (!language) return { status: 400, error: `Unknown language "${options.language}"` };
+  const region = getRegion(options.region);
+  if (!region) return { status: 400, error: `Unknown region "${options.region}"` };
+  const pageFit = getPageFit(options.pageFit);
+  if (!pageFit) return { status: 400, error: `Unknown page fit "${options.pageFit}"` };
+  const { value: letter, error: letterError } = parseLetterOptions(options.letter);
+  if (letterError) return { status: 400, error: letterError };
+  const jobError = jobFieldsError({ jobDescription, jobTitle, company });
+  if (jobError) return jobError;
+  if (!batch && !(jobDescription || "").trim()) return { status: 400, error: "Add a job description" };
+  options = { ...options, format: formats[0], formats, language: language.id, region: region.id, pageFit: pageFit.id, letter, redact: REDACT_PII || options.redact === true };
+
+  const profile = profileId ? profiles.get(profileId) : null;
+  if (profileId && !profile) return { status: 404, error: "Profile not found" };
+  if (!profile && !req.file) return { status: 400, error: "Upload a CV or choose a saved profile" };
+
+  return { input: { cvFile: req.file, profile, jobDescription, jobTitle, company, options, template } };
+}
 
-    // Skills
-    renderSectionHeader("SKILLS");
-    doc.fillColor("#000000").fontSize(10.5).text(cvData.skills.join("  •  "), { lineGap: 2 }).moveDown(1.5);
+app.post("/api/tailor-cv", generationLimit, uploadCV, async (req, res) => {
+  try {
+    const { input, status, error } = parseTailorRequest(req);
+    if (error) return res.status(status).json({ error });
 
-    // Education
-    renderSectionHeader("EDUCATION");
-    for (const edu of cvData.education) {
-      doc.fillColor("#000000").fontSize(11).text(edu.degree, { bold: true }).moveDown(0.2);
-      doc.fillColor("#718096").fontSize(9.5).text(`${edu.institution} | ${edu.dates}`).moveDown(1);
+    const result = await runTailoring(input);
+    res.json({ success: true, ...tailoringResponse(result) });
+  } catch (err) {
+    if (err instanceof CVValidationError) {
+      return res.status(422).json({ error: err.message, fields: err.errors });
     }
+    if (err instanceof CVFileError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    doc.end();
-  });
+// Server-Sent Events over the response. send(event, data) is a no-op once the client has gone, and `signal`
+// aborts at that point so the pipeline stops spending LLM calls on nobody.
+function openEventStream(res) {
+  const controller = new AbortController();
+  res.on("close", () => controller.abort(new Error("Client disconnected")));
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  const send = (event, data) => {
+    if (!controller.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  return { send, signal: controller.signal };
 }
 
-async function generateTextPDF(title, body) {
-  return new Promise((resolve) => {
-    const doc = new PDFDocument({ margin: 50 });
-    let buffers = [];
-    doc.on("data", buffers.push.bind(buffers));
-    doc.on("end", () => resolve(Buffer.concat(buffers)));
+// Same pipeline as /api/tailor-cv, streamed as Server-Sent Events:
+// parsed -> cv-data -> document / document-error (one per document) -> bundle (if requested) -> saved -> done,
+// or a single fatal "error"
+app.post("/api/tailor-cv/stream", generationLimit, uploadCV, async (req, res, next) => {
+  let stream;
+  try {
+    const { input, status, error } = parseTailorRequest(req);
+    if (error) return res.status(status).json({ error });
 
-    doc.fontSize(18).text(title, { align: "center" }).moveDown(2);
-    doc.fontSize(12).text(body, { align: "left", lineGap: 5 });
+    stream = openEventStream(res);
+    const { errors } = await runTailoring({ ...input, signal: stream.signal }, stream.send);
+    stream.send("done", { errors });
+  } catch (err) {
+    // Until the stream is open, failures are answered as JSON by the error handler
+    if (!stream) return next(err);
+    stream.send("error", err instanceof CVValidationError ? { error: err.message, fields: err.errors } : { error: err.message });
+  }
+  res.end();
+});
+
+// Batch tailoring, streamed as Server-Sent Events:
+// batch (the queued jobs) -> job (per-job status: running, then done or failed) -> bundle -> done,
+// or a single fatal "error". Jobs come as `jobs` (JSON) or `jobsCsv` (title, company, description columns).
+app.post("/api/tailor-cv/batch", generationLimit, uploadCV, async (req, res, next) => {
+  let stream;
+  try {
+    const { input, status, error } = parseTailorRequest(req, { batch: true });
+    if (error) return res.status(status).json({ error });
+    const { jobs, error: jobsError } = parseBatchJobs(req.body);
+    if (jobsError) return res.status(400).json({ error: jobsError });
+
+    stream = openEventStream(res);
+    const { results } = await runBatch({ ...input, signal: stream.signal }, jobs, stream.send);
+    stream.send("done", { completed: results.filter((r) => r.status === "done").length, failed: results.filter((r) => r.status === "failed").length });
+  } catch (err) {
+    if (!stream) return next(err);
+    stream.send("error", err instanceof CVValidationError ? { error: err.message, fields: err.errors } : { error: err.message });
+  }
+  res.end();
+});
 
-    doc.end();
+// Background jobs: the /api/tailor-cv ("tailor") and batch ("batch") pipelines, queued and run in-process.
+// Submit, then poll GET /api/jobs/:id or subscribe to /api/jobs/:id/events; DELETE cancels.
+app.post("/api/jobs", generationLimit, uploadCV, (req, res) => {
+  const type = req.body.type || "tailor";
+  if (!["tailor", "batch"].includes(type)) return res.status(400).json({ error: `Unknown job type "${type}"` });
+  const { input, status, error } = parseTailorRequest(req, { batch: type === "batch" });
+  if (error) return res.status(status).json({ error });
+
+  let run = (signal, report) => runTailoring({ ...input, signal }, report).then(tailoringResponse);
+  const meta = { jobTitle: (input.jobTitle || "").trim(), company: (input.company || "").trim(), profileId: input.profile ? input.profile.id : null };
+  if (type === "batch") {
+    const { jobs, error: jobsError } = parseBatchJobs(req.body);
+    if (jobsError) return res.status(400).json({ error: jobsError });
+    run = (signal, report) => runBatch({ ...input, signal }, jobs, report);
+    meta.jobs = jobs.length;
+  }
+
+  const job = jobQueue.submit({ type, meta, run });
+  res.status(202).location(`/api/jobs/${job.id}`).json({ success: true, job });
+});
+
+app.get("/api/jobs", (req, res) => {
+  res.json({ jobs: jobQueue.list().map(({ result, ...job }) => job) });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json({ job });
+});
+
+app.get("/api/jobs/:id/result", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  if (job.status !== "succeeded") {
+    return res.status(409).json({ error: job.error || `Job is ${job.status}`, status: job.status });
+  }
+  res.json({ success: true, ...job.result });
+});
+
+// Replays the job's events so far, then streams live ones: "status" on every status change, plus the
+// pipeline's own events (see /api/tailor-cv/stream and /api/tailor-cv/batch). Ends once the job has finished.
+app.get("/api/jobs/:id/events", (req, res) => {
+  if (!jobQueue.get(req.params.id)) return res.status(404).json({ error: "Job not found" });
+  const { send } = openEventStream(res);
+  const unsubscribe = jobQueue.subscribe(req.params.id, (event, data) => {
+    send(event, data);
+    if (event === "status" && TERMINAL.has(data.status)) res.end();
   });
-}
+  res.on("close", unsubscribe);
+});
 
-app.post("/api/tailor-cv", upload.single("cv"), async (req, res) => {
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = jobQueue.cancel(req.params.id);
+  if (job === null) return res.status(404).json({ error: "Job not found" });
+  if (job === false) return res.status(409).json({ error: "Job has already finished" });
+  res.json({ success: true, job });
+});
+
+// Import a job description from a job-posting page
+app.post("/api/job-posting", generationLimit, async (req, res) => {
   try {
-    const { jobDescription, options: optionsStr } = req.body;
-    const options = JSON.parse(optionsStr);
-    const cvFile = req.file;
-
-    const cvContent = await parseCVContent(cvFile.path, cvFile.mimetype);
-    const tailoredCVResponse = await generateTailoredCV(cvContent, jobDescription);
-    const cvData = JSON.parse(tailoredCVResponse.replace(/```json|```/g, "").trim());
-    const candidateName = cvData.personalInfo.fullName;
-
-    const results = {};
-    const promises = [];
-
-    if (options.cv) {
-      promises.push((async () => {
-        results.cv = { preview: tailoredCVResponse, fileName: `${candidateName}_CV.${options.format}` };
-        results.cv.fileData = (await (options.format === "pdf" ? generateCVPDF(cvData) : generateCVDocx(cvData))).toString("base64");
-      })());
-    }
+    const posting = await fetchJobPosting(req.body.url);
+    res.json({ success: true, ...posting });
+  } catch (err) {
+    if (err instanceof JobPostingError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (options.coverLetter) {
-      promises.push((async () => {
-        const text = await generateCoverLetter(cvContent, jobDescription, candidateName);
-        results.coverLetter = { preview: text, fileName: `${candidateName}_Cover_Letter.${options.format}` };
-        results.coverLetter.fileData = (await (options.format === "pdf" ? generateTextPDF("Cover Letter", text) : generateTextDocx("Cover Letter", text))).toString("base64");
-      })());
+// Re-render user-edited CV data without another LLM call
+app.post("/api/render-cv", async (req, res) => {
+  try {
+    const { cvData: input, format, formats: requested, template: templateId, language: languageId, region: regionId, pageFit: pageFitId } = req.body;
+    const template = getTemplate(templateId);
+    if (!template) return res.status(400).json({ error: `Unknown template "${templateId}"` });
+    const language = getLanguage(languageId);
+    if (!language) return res.status(400).json({ error: `Unknown language "${languageId}"` });
+    const region = getRegion(regionId);
+    if (!region) return res.status(400).json({ error: `Unknown region "${regionId}"` });
+    const pageFit = getPageFit(pageFitId);
+    if (!pageFit) return res.status(400).json({ error: `Unknown page fit "${pageFitId}"` });
+    const { formats, error } = resolveFormats(requested || format);
+    if (error) return res.status(400).json({ error });
+
+    const { value: cvData, errors } = validateCV(input);
+    if (errors.length) return res.status(422).json({ error: "The edited CV is incomplete", fields: errors });
+
+    const rendered = await renderFiles(cvData, "cv", formats, (f) => renderCV(cvData, f, { template, language: language.id, region: region.id, pageFit: pageFit.id }));
+    res.json({ success: true, preview: JSON.stringify(cvData, null, 2), data: cvData, ...publishFiles(rendered) });
+  } catch (err) {
+    if (err instanceof PageFitError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Short-lived links to generated files; expired or unknown tokens are indistinguishable
+app.get("/api/downloads/:token", (req, res) => {
+  const file = downloads.get(req.params.token);
+  if (!file) {
+    return res.status(404).json({ error: "This download link has expired. Generate the documents again or download them from History." });
+  }
+  res.attachment(file.fileName);
+  res.type(file.mimeType).send(file.buffer);
+});
+
+// Generation history
+app.get("/api/runs", (req, res) => {
+  const summaries = runs.list().map((run) => ({
+    id: run.id,
+    createdAt: run.createdAt,
+    jobTitle: run.jobTitle,
+    company: run.company,
+    candidateName: run.candidateName,
+    documents: Object.keys(DOCUMENT_LABELS).filter((type) => (type === "cv" ? run.options.cv : run[type])),
+    score: run.analysis ? run.analysis.tailored.score : null,
+  }));
+  res.json({ runs: summaries });
+});
+
+app.get("/api/runs/:id", (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json({ run });
+});
+
+// Re-render a stored document; format, template, language, region and page fit default to the ones used originally
+app.get("/api/runs/:id/download/:type", async (req, res) => {
+  try {
+    const run = runs.get(req.params.id);
+    if (!run) return res.status(404).json({ error: "Run not found" });
+
+    const { type } = req.params;
+    const format = req.query.format || run.options.format;
+    const template = getTemplate(req.query.template || run.options.template);
+    const language = getLanguage(req.query.language || run.options.language);
+    const region = getRegion(req.query.region || run.options.region);
+    const pageFit = getPageFit(req.query.pageFit || run.options.pageFit);
+    if (!Object.hasOwn(DOCUMENT_LABELS, type)) return res.status(400).json({ error: `Unknown document type "${type}"` });
+    if (!Object.hasOwn(FORMATS, format)) return res.status(400).json({ error: `Unsupported format "${format}"` });
+    if (!template) return res.status(400).json({ error: `Unknown template "${req.query.template}"` });
+    if (!language) return res.status(400).json({ error: `Unknown language "${req.query.language}"` });
+    if (!region) return res.status(400).json({ error: `Unknown region "${req.query.region}"` });
+    if (!pageFit) return res.status(400).json({ error: `Unknown page fit "${req.query.pageFit}"` });
+    if (type !== "cv" && !run[type]) return res.status(404).json({ error: "This document was not generated for this run" });
+
+    const rendering = { template, language: language.id, region: region.id, pageFit: pageFit.id, letter: run.letter, subject: run.emailSubject };
+    const file = type === "cv" ? await renderCV(run.cvData, format, rendering) : await renderLetter(type, run[type], run.cvData, format, rendering);
+    res.attachment(documentFileName(run.cvData, type, format));
+    res.type(FORMATS[format].mimeType).send(file);
+  } catch (err) {
+    if (err instanceof PageFitError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/api/runs/:id", (req, res) => {
+  if (!runs.remove(req.params.id)) return res.status(404).json({ error: "Run not found" });
+  res.json({ success: true });
+});
+
+// Master profiles: a CV extracted once, corrected by the user and reused for every tailoring run
+const profileSummary = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  fullName: profile.cvData.personalInfo.fullName,
+  updatedAt: profile.updatedAt,
+});
+
+app.get("/api/profiles", (req, res) => {
+  res.json({ profiles: profiles.list().map(profileSummary) });
+});
+
+app.get("/api/profiles/:id", (req, res) => {
+  const profile = profiles.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+  res.json({ profile });
+});
+
+app.post("/api/profiles", generationLimit, uploadCV, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "Upload a CV to create a profile" });
+    const source = await parseCVBuffer(req.file.buffer, req.file.originalname);
+    let cvData = source.cvData;
+    if (!cvData && (REDACT_PII || req.body.redact === "true")) {
+      const redactor = createRedactor();
+      cvData = redactor.restoreCV(await extractProfileCV(redactor.redact(source.text), { redacted: true }));
+    } else if (!cvData) {
+      cvData = await extractProfileCV(source.text);
     }
 
-    if (options.email) {
-      promises.push((async () => {
-        const text = await generateApplicationEmail(cvContent, jobDescription, candidateName);
-        results.email = { preview: text, fileName: `${candidateName}_Email.${options.format}` };
-        results.email.fileData = (await (options.format === "pdf" ? generateTextPDF("Application Email", text) : generateTextDocx("Application Email", text))).toString("base64");
-      })());
+    const profile = profiles.insert({ name: (req.body.name || cvData.personalInfo.fullName).trim(), cvData });
+    res.status(201).json({ profile });
+  } catch (err) {
+    if (err instanceof CVValidationError) {
+      return res.status(422).json({ error: err.message, fields: err.errors });
     }
+    if (err instanceof CVFileError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    await Promise.all(promises);
-    fs.unlinkSync(cvFile.path);
-    res.json({ success: true, ...results });
+app.put("/api/profiles/:id", (req, res) => {
+  const profile = profiles.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found" });
+
+  const changes = {};
+  if (req.body.name !== undefined) changes.name = String(req.body.name).trim();
+  if (req.body.cvData !== undefined) {
+    const { value, errors } = validateCV(req.body.cvData);
+    if (errors.length) return res.status(422).json({ error: "The profile is incomplete", fields: errors });
+    changes.cvData = value;
+  }
+  res.json({ profile: profiles.update(req.params.id, changes) });
+});
+
+app.delete("/api/profiles/:id", (req, res) => {
+  if (!profiles.remove(req.params.id)) return res.status(404).json({ error: "Profile not found" });
+  res.json({ success: true });
+});
+
+// Debug: how an uploaded CV is read (detected type, PDF columns and sections), without any LLM call
+app.post("/api/debug/sections", uploadCV, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "Upload a CV to inspect" });
+    const { type, label, text, sections = null, pages = null } = await parseCVBuffer(req.file.buffer, req.file.originalname);
+    res.json({ type, label, pages, sections, text });
   } catch (err) {
+    if (err instanceof CVValidationError) {
+      return res.status(422).json({ error: err.message, fields: err.errors });
+    }
+    if (err instanceof CVFileError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get("/api/health", (req, res) => res.json({ status: "OK" }));
-app.listen(PORT, () => console.log(`Magic CV running on ${PORT}`));
+app.get("/api/templates", (req, res) => res.json({ templates: listTemplates() }));
+
+app.get("/api/formats", (req, res) => res.json({ formats: listFormats() }));
+
+app.get("/api/languages", (req, res) => res.json({ languages: listLanguages() }));
+
+// Requests without a region get "none": no length rules, bullet caps or personal details
+app.get("/api/regions", (req, res) => res.json({ regions: listRegions() }));
+
+app.get("/api/health", (req, res) => {
+  const { provider, model } = getLLMConfig("cv");
+  res.json({ status: "OK", provider, model, redaction: REDACT_PII ? "always" : "optional" });
+});
+
+// Upload, body-size and other middleware errors as JSON, like every route's own errors
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err instanceof multer.MulterError) {
+    const message = err.code === "LIMIT_FILE_SIZE" ? `The CV file is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` : err.message;
+    return res.status(err.code === "LIMIT_FILE_SIZE" || err.code === "LIMIT_FIELD_VALUE" ? 413 : 400).json({ error: message });
+  }
+  if (err instanceof CVFileError) return res.status(err.status).json({ error: err.message });
+  if (err.type === "entity.too.large") return res.status(413).json({ error: "The request body is too large" });
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Invalid JSON in the request body" });
+  res.status(err.status || 500).json({ error: err.message });
+});
+
+// Tests require the app without starting a server (see test/helpers/app.js)
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`Magic CV running on ${PORT}`));
+}
+
+module.exports = app;
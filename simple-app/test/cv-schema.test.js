@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { validateCV } = require("../lib/cv-schema");
+const { fromJsonResume, toJsonResume } = require("../lib/json-resume");
+
+const FULL_CV = path.join(__dirname, "fixtures", "llm", "full-cv.json");
+
+const MINIMAL = { personalInfo: { fullName: "Ama Mensah" }, experience: [], skills: [] };
+
+describe("validateCV", () => {
+  it("groups a flat list of skills under an empty category", () => {
+    const { value, errors } = validateCV({ ...MINIMAL, skills: ["Go", { category: "Data", items: ["Kafka"] }, "SQL"] });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value.skills, [
+      { category: "", items: ["Go", "SQL"] },
+      { category: "Data", items: ["Kafka"] },
+    ]);
+  });
+
+  it("defaults the optional sections to empty lists", () => {
+    const { value } = validateCV(MINIMAL);
+    for (const key of ["projects", "certifications", "languages", "publications", "volunteering", "awards", "customSections"]) {
+      assert.deepEqual(value[key], [], key);
+    }
+  });
+
+  it("reports entries of optional sections without their required fields", () => {
+    const { errors } = validateCV({ ...MINIMAL, languages: [{ proficiency: "B2" }], customSections: [{ title: " ", items: ["Chess"] }] });
+    assert.deepEqual(
+      errors.map((error) => error.path),
+      ["languages[0].language", "customSections[0].title"]
+    );
+  });
+});
+
+describe("JSON Resume", () => {
+  it("maps every section both ways", () => {
+    const { value: cvData } = validateCV(JSON.parse(fs.readFileSync(FULL_CV, "utf8")));
+    const resume = toJsonResume(cvData);
+    assert.deepEqual(resume.projects[0].roles, ["Maintainer"]);
+    assert.deepEqual(resume.volunteer[0], {
+      organization: "Code Club Accra",
+      position: "Mentor",
+      startDate: "2019",
+      highlights: ["Teaches weekly programming classes to secondary school students"],
+    });
+
+    const back = fromJsonResume(resume);
+    for (const key of ["skills", "certifications", "languages", "awards"]) assert.deepEqual(back[key], cvData[key], key);
+    assert.equal(back.projects[0].link, "github.com/amamensah/momo-ledger");
+    assert.equal(back.publications[0].title, "Idempotent payment APIs");
+    // JSON Resume has nowhere to put custom sections
+    assert.deepEqual(back.customSections, []);
+  });
+
+  it("keeps bare skills together and turns interests into a custom section", () => {
+    const cvData = fromJsonResume({
+      basics: { name: "Ama Mensah" },
+      skills: [{ name: "Go" }, { name: "Cloud", keywords: ["AWS", "Terraform"] }, { name: "SQL" }],
+      interests: [{ name: "Chess", keywords: ["openings"] }, { name: "Running" }],
+    });
+    assert.deepEqual(cvData.skills, [
+      { category: "", items: ["Go", "SQL"] },
+      { category: "Cloud", items: ["AWS", "Terraform"] },
+    ]);
+    assert.deepEqual(cvData.customSections, [{ title: "Interests", items: ["Chess: openings", "Running"] }]);
+  });
+});
@@ -0,0 +1,129 @@
+// Golden-file checks: generated PDF and DOCX documents are parsed back to text and compared with
+// test/golden. After an intended rendering change, regenerate with UPDATE_GOLDEN=1 and review the diff.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, tailorForm, request } = require("./helpers/app");
+const { pdfText, pdfPageCount, docxText, matchGolden } = require("./helpers/documents");
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+// { cv: { pdf, docx }, coverLetter: {...}, email: {...} } as text
+async function generate(options) {
+  const { status, body } = await request(app.url("/api/tailor-cv"), {
+    method: "POST",
+    body: tailorForm({ options: { formats: ["pdf", "docx"], ...options } }),
+  });
+  assert.equal(status, 200, JSON.stringify(body));
+  const texts = {};
+  for (const type of ["cv", "coverLetter", "email"]) {
+    if (!body[type]) continue;
+    texts[type] = {};
+    for (const file of body[type].files) {
+      const { body: buffer } = await request(app.url(file.url));
+      texts[type][file.format] = file.format === "pdf" ? await pdfText(buffer) : await docxText(buffer);
+    }
+  }
+  return texts;
+}
+
+describe("CV templates", () => {
+  for (const template of ["classic", "modern", "compact"]) {
+    it(`matches the golden ${template} CV`, async () => {
+      const { cv } = await generate({ template, coverLetter: false, email: false });
+      matchGolden(`cv-${template}.pdf`, cv.pdf);
+      matchGolden(`cv-${template}.docx`, cv.docx);
+    });
+  }
+});
+
+describe("regional layouts", () => {
+  const layouts = { europass: { language: "en", region: "europass" }, lebenslauf: { language: "de", region: "de" } };
+  for (const [name, options] of Object.entries(layouts)) {
+    it(`matches the golden ${name} CV`, async () => {
+      const { cv } = await generate({ ...options, coverLetter: false, email: false });
+      matchGolden(`cv-${name}.pdf`, cv.pdf);
+      matchGolden(`cv-${name}.docx`, cv.docx);
+    });
+  }
+});
+
+describe("CV sections", () => {
+  const layouts = { classic: { template: "classic" }, modern: { template: "modern" }, europass: { region: "europass" } };
+  for (const [name, options] of Object.entries(layouts)) {
+    it(`matches the golden ${name} CV with every optional section`, async () => {
+      app.fakeLLM.queue("cv", app.fakeLLM.fixture("full-cv.json"));
+      const { cv } = await generate({ ...options, coverLetter: false, email: false });
+      matchGolden(`cv-sections-${name}.pdf`, cv.pdf);
+      matchGolden(`cv-sections-${name}.docx`, cv.docx);
+    });
+  }
+});
+
+describe("letters", () => {
+  it("matches the golden cover letter and email", async () => {
+    const { coverLetter, email } = await generate({ cv: false, letter: { hiringManager: "Ms Ofori" } });
+    matchGolden("cover-letter.pdf", coverLetter.pdf);
+    matchGolden("cover-letter.docx", coverLetter.docx);
+    matchGolden("email.pdf", email.pdf);
+    matchGolden("email.docx", email.docx);
+  });
+
+  it("matches the golden French cover letter", async () => {
+    const { coverLetter } = await generate({ cv: false, email: false, language: "fr" });
+    matchGolden("cover-letter-fr.pdf", coverLetter.pdf);
+    matchGolden("cover-letter-fr.docx", coverLetter.docx);
+  });
+});
+
+describe("pagination", () => {
+  const longCV = () => app.fakeLLM.fixture("long-cv.json");
+
+  // The PDF CV of a run whose model answer is `cv`
+  async function pdfCV(cv, options = {}) {
+    app.fakeLLM.queue("cv", cv);
+    const { status, body } = await request(app.url("/api/tailor-cv"), {
+      method: "POST",
+      body: tailorForm({ options: { coverLetter: false, email: false, ...options } }),
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    if (!body.cv) return { error: body.errors.cv };
+    return { buffer: (await request(app.url(body.cv.url))).body };
+  }
+
+  it("matches the golden two-page CV with page footers", async () => {
+    const { buffer } = await pdfCV(longCV());
+    assert.equal(await pdfPageCount(buffer), 2);
+    const text = await pdfText(buffer);
+    assert.match(text, /Ama Mensah — page 1 of 2/);
+    assert.match(text, /Ama Mensah — page 2 of 2/);
+    matchGolden("cv-long.pdf", text);
+  });
+
+  it("leaves single-page CVs without a footer", async () => {
+    const { buffer } = await pdfCV(app.fakeLLM.fixture("tailored-cv.json"));
+    assert.doesNotMatch(await pdfText(buffer), /page 1 of/);
+  });
+
+  it("tightens a two-page CV onto one page", async () => {
+    const { buffer } = await pdfCV(longCV(), { pageFit: "one-page" });
+    assert.equal(await pdfPageCount(buffer), 1);
+  });
+
+  it("fits the two-column template too", async () => {
+    const { buffer } = await pdfCV(longCV(), { template: "modern", pageFit: "one-page" });
+    assert.equal(await pdfPageCount(buffer), 1);
+  });
+
+  it("fails the CV rather than spill past the page fit", async () => {
+    const cv = JSON.parse(longCV());
+    cv.experience = [...cv.experience, ...cv.experience];
+    const { error } = await pdfCV(JSON.stringify(cv), { pageFit: "one-page" });
+    assert.match(error, /does not fit on one page/);
+    const { buffer } = await pdfCV(JSON.stringify(cv), { pageFit: "two-page" });
+    assert.equal(await pdfPageCount(buffer), 2);
+  });
+});
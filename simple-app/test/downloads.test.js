@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDownloadStore } = require("../lib/downloads");
+
+const file = (name, bytes = 10) => ({ fileName: name, mimeType: "text/plain", buffer: Buffer.alloc(bytes) });
+const token = ({ url }) => url.split("/").pop();
+
+describe("createDownloadStore", () => {
+  it("drops the oldest files past the file limit", () => {
+    const store = createDownloadStore({ ttlMs: 60000, maxEntries: 2 });
+    const [a, b, c] = ["a.txt", "b.txt", "c.txt"].map((name) => token(store.put(file(name))));
+    assert.equal(store.get(a), null);
+    assert.equal(store.get(b).fileName, "b.txt");
+    assert.equal(store.get(c).fileName, "c.txt");
+  });
+
+  it("drops the oldest files past the byte limit but always keeps the newest", () => {
+    const store = createDownloadStore({ ttlMs: 60000, maxBytes: 25 });
+    const a = token(store.put(file("a.txt")));
+    const b = token(store.put(file("b.txt")));
+    const c = token(store.put(file("c.txt")));
+    assert.equal(store.get(a), null);
+    assert.ok(store.get(b) && store.get(c));
+
+    const big = token(store.put(file("big.zip", 100)));
+    assert.equal(store.get(b), null);
+    assert.equal(store.get(c), null);
+    assert.equal(store.get(big).fileName, "big.zip");
+    // The big file's bytes count until it is dropped in turn
+    const d = token(store.put(file("d.txt")));
+    assert.equal(store.get(big), null);
+    assert.equal(store.get(d).fileName, "d.txt");
+  });
+
+  it("expires files after their time to live", () => {
+    const store = createDownloadStore({ ttlMs: -1 });
+    assert.equal(store.get(token(store.put(file("a.txt")))), null);
+  });
+});
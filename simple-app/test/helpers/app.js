@@ -0,0 +1,87 @@
+// Boots server.js in-process for a test file: a throwaway DATA_DIR, no rate limits or auth unless the file
+// asks for them, the fake LLM, and the app listening on a free port. Each test file runs in its own process,
+// so startApp is called once per file (in `before`).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CVS = path.join(__dirname, "..", "fixtures", "cvs");
+const JOBS = path.join(__dirname, "..", "fixtures", "jobs");
+
+// Set explicitly so a developer's .env cannot switch them on for the tests
+const TEST_ENV = {
+  LLM_PROVIDER: "mock",
+  RATE_LIMIT_MAX: "0",
+  RATE_LIMIT_API_MAX: "0",
+  API_KEY: "",
+  BASIC_AUTH_USER: "",
+  BASIC_AUTH_PASSWORD: "",
+  CORS_ORIGINS: "",
+  REDACT_PII: "",
+  JOB_PERSIST: "",
+};
+
+async function startApp(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "magic-cv-test-"));
+  Object.assign(process.env, TEST_ENV, { DATA_DIR: dataDir }, env);
+  const fakeLLM = require("./fake-llm");
+  const app = require("../../server");
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    fakeLLM,
+    url: (pathname) => baseUrl + pathname,
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Multipart body for the tailoring routes. `cv` is a fixture file name or { name, buffer }; options are
+// merged over a default of every document in PDF.
+function tailorForm({ cv = "ama-mensah.txt", jobDescription = readJob(), jobTitle = "Senior Backend Engineer", company = "Acme Pay", options = {}, fields = {} } = {}) {
+  const form = new FormData();
+  if (cv) {
+    const file = typeof cv === "string" ? { name: cv, buffer: fs.readFileSync(path.join(CVS, cv)) } : cv;
+    form.append("cv", new Blob([file.buffer]), file.name);
+  }
+  if (jobDescription !== undefined) form.append("jobDescription", jobDescription);
+  form.append("jobTitle", jobTitle);
+  form.append("company", company);
+  form.append("options", typeof options === "string" ? options : JSON.stringify({ formats: ["pdf"], cv: true, coverLetter: true, email: true, ...options }));
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+}
+
+function readJob(name = "backend-engineer.txt") {
+  return fs.readFileSync(path.join(JOBS, name), "utf8");
+}
+
+// { status, headers, body } with body parsed as JSON when the response is JSON
+async function request(url, init) {
+  const response = await fetch(url, init);
+  const type = response.headers.get("content-type") || "";
+  const body = type.includes("application/json") ? await response.json() : Buffer.from(await response.arrayBuffer());
+  return { status: response.status, headers: response.headers, body };
+}
+
+// Server-Sent Events from a streaming route as [{ event, data }]
+async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const [, event] = /^event: (.+)$/m.exec(block);
+      const [, data] = /^data: (.+)$/m.exec(block);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+module.exports = { startApp, tailorForm, readJob, request, readEvents };
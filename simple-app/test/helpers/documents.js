@@ -0,0 +1,48 @@
+// Golden-file checks for generated documents: PDFs and DOCX files are parsed back to text with pdf-parse and
+// mammoth, normalised, and compared with test/golden/<name>.txt. Run with UPDATE_GOLDEN=1 to rewrite the
+// golden files after an intended rendering change, then review the diff.
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const mammoth = require("mammoth");
+const { LANGUAGES, formatLetterDate } = require("../../lib/i18n");
+
+const GOLDEN = path.join(__dirname, "..", "golden");
+
+// Letters are dated today; the date is replaced so golden files stay stable
+function normalize(text) {
+  let result = String(text).replace(/\r\n?/g, "\n");
+  for (const id of Object.keys(LANGUAGES)) result = result.split(formatLetterDate(id)).join("{{DATE}}");
+  return result
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+async function pdfText(buffer) {
+  // pdf.js needs a buffer of its own, not a slice of Node's shared pool
+  return normalize((await pdfParse(new Uint8Array(buffer))).text);
+}
+
+async function pdfPageCount(buffer) {
+  return (await pdfParse(new Uint8Array(buffer))).numpages;
+}
+
+async function docxText(buffer) {
+  return normalize((await mammoth.extractRawText({ buffer })).value);
+}
+
+function matchGolden(name, text) {
+  const file = path.join(GOLDEN, `${name}.txt`);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.writeFileSync(file, `${text}\n`);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `test/golden/${name}.txt is missing; run the tests with UPDATE_GOLDEN=1 to create it`);
+  assert.equal(text, fs.readFileSync(file, "utf8").trimEnd(), `${name} differs from test/golden/${name}.txt`);
+}
+
+module.exports = { normalize, pdfText, pdfPageCount, docxText, matchGolden };
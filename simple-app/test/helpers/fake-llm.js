@@ -0,0 +1,39 @@
+// Stands in for lib/llm.js's callLLM: every task answers from test/fixtures/llm, each call is recorded, and
+// a test can queue one-off replies per task (a string, an Error to throw, or a function of the prompt).
+// Must be required before server.js, which picks callLLM up when it loads.
+const fs = require("fs");
+const path = require("path");
+const llm = require("../../lib/llm");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "llm");
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+const DEFAULT_REPLIES = {
+  cv: fixture("tailored-cv.json"),
+  coverLetter: fixture("cover-letter.txt"),
+  email: fixture("email.txt"),
+};
+
+const calls = [];
+const queued = { cv: [], coverLetter: [], email: [] };
+
+llm.callLLM = async (task, systemPrompt, userPrompt) => {
+  calls.push({ task, systemPrompt, userPrompt });
+  const reply = queued[task].length ? queued[task].shift() : DEFAULT_REPLIES[task];
+  if (reply instanceof Error) throw reply;
+  return typeof reply === "function" ? reply(userPrompt) : reply;
+};
+
+module.exports = {
+  fixture,
+  calls,
+  // Replies for the next calls of `task`, in order; afterwards the fixture answers again
+  queue(task, ...replies) {
+    queued[task].push(...replies);
+  },
+  reset() {
+    calls.length = 0;
+    for (const replies of Object.values(queued)) replies.length = 0;
+  },
+  callsFor: (task) => calls.filter((call) => call.task === task),
+};
@@ -0,0 +1,45 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { JobPostingError, extractJobPosting, fetchJobPosting } = require("../lib/job-posting");
+
+const page = (name) => fs.readFileSync(path.join(__dirname, "fixtures", "job-postings", name), "utf8");
+const LISTING_URL = "https://jobs.example.com/listing/42";
+
+describe("extractJobPosting", () => {
+  it("reads a schema.org JobPosting from JSON-LD", () => {
+    const posting = extractJobPosting(page("json-ld.html"), { url: LISTING_URL });
+    assert.equal(posting.source, "json-ld");
+    assert.equal(posting.title, "Senior Backend Engineer");
+    assert.equal(posting.company, "Acme Ltd");
+    assert.equal(posting.location, "London, United Kingdom; Remote");
+    assert.match(posting.description, /Requirements\n\n- 5\+ years of Go or Java/);
+    assert.equal(posting.url, LISTING_URL);
+  });
+
+  it("falls back to the page's main content", () => {
+    const posting = extractJobPosting(page("readability.html"), { url: LISTING_URL });
+    assert.equal(posting.source, "readability");
+    assert.equal(posting.title, "Data Analyst");
+    assert.equal(posting.company, "Northwind");
+    assert.match(posting.description, /^Northwind is looking for a Data Analyst/);
+    assert.match(posting.description, /- Write SQL against our Snowflake warehouse/);
+  });
+});
+
+describe("fetchJobPosting", () => {
+  const rejects = (url, status, message) =>
+    assert.rejects(fetchJobPosting(url), (err) => err instanceof JobPostingError && err.status === status && message.test(err.message));
+
+  it("rejects invalid URLs and other protocols", async () => {
+    await rejects("not a url", 400, /valid job posting URL/);
+    await rejects("file:///etc/passwd", 400, /Only http and https/);
+  });
+
+  it("refuses private, loopback and link-local hosts", async () => {
+    for (const url of ["http://127.0.0.1:3000/", "http://[::1]/", "http://10.0.0.5/", "http://169.254.169.254/latest/meta-data/", "http://localhost/"]) {
+      await rejects(url, 400, /public website/);
+    }
+  });
+});
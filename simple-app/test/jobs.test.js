@@ -0,0 +1,52 @@
+// Background jobs with one job at a time, so a second submission waits in the queue
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, tailorForm, request, readEvents } = require("./helpers/app");
+
+let app;
+before(async () => {
+  app = await startApp({ JOB_CONCURRENCY: "1" });
+});
+after(() => app.close());
+beforeEach(() => app.fakeLLM.reset());
+
+const submit = async () => (await request(app.url("/api/jobs"), { method: "POST", body: tailorForm() })).body.job;
+const cancel = (id) => request(app.url(`/api/jobs/${id}`), { method: "DELETE" });
+
+describe("cancelling jobs", () => {
+  it("cancels a queued job before it starts and a running job mid-call", async () => {
+    // The first job's CV call hangs until released
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    app.fakeLLM.queue("cv", () => held.then(() => app.fakeLLM.fixture("tailored-cv.json")));
+
+    const running = await submit();
+    const queued = await submit();
+    assert.equal(queued.status, "queued");
+    assert.equal(queued.position, 1);
+
+    const cancelledQueued = await cancel(queued.id);
+    assert.equal(cancelledQueued.status, 200);
+    assert.equal(cancelledQueued.body.job.status, "cancelled");
+
+    // Wait for the running job to reach the model
+    while (!app.fakeLLM.callsFor("cv").length) await new Promise((resolve) => setTimeout(resolve, 10));
+    const events = fetch(app.url(`/api/jobs/${running.id}/events`)).then(readEvents);
+    assert.equal((await cancel(running.id)).status, 200);
+    release();
+    assert.equal((await events).at(-1).data.status, "cancelled");
+
+    const result = await request(app.url(`/api/jobs/${running.id}/result`));
+    assert.equal(result.status, 409);
+    assert.equal(result.body.status, "cancelled");
+    assert.equal((await cancel(running.id)).status, 409);
+    // The queued job never reached the model
+    assert.equal(app.fakeLLM.callsFor("cv").length, 1);
+  });
+
+  it("answers 404 for unknown jobs", async () => {
+    assert.equal((await cancel("missing")).status, 404);
+  });
+});
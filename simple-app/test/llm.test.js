@@ -0,0 +1,120 @@
+// The provider layer: the offline mock, and retries, back-off, time limits and cancellation against a stub
+// OpenAI-compatible server
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { callLLM } = require("../lib/llm");
+const { createFence } = require("../lib/prompt-fence");
+
+const TAILORED_CV = path.join(__dirname, "fixtures", "llm", "tailored-cv.json");
+
+describe("mock provider", () => {
+  before(() => {
+    process.env.LLM_PROVIDER = "mock";
+  });
+
+  it("echoes a fenced master profile back unchanged", async () => {
+    const cvData = JSON.parse(fs.readFileSync(TAILORED_CV, "utf8"));
+    const fence = createFence();
+    const prompt = `ORIGINAL CV:\n${fence("CV", JSON.stringify(cvData, null, 2))}\n\nTARGET JOB DESCRIPTION:\n${fence("JOB_DESCRIPTION", "Backend engineer")}`;
+    assert.deepEqual(JSON.parse(await callLLM("cv", "", prompt)), cvData);
+  });
+});
+
+// Answers each chat completion with the next queued reply { status, headers, delayMs, content }, then with 200
+function startProvider() {
+  const replies = [];
+  const provider = { replies, requests: 0 };
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      provider.requests++;
+      const { status = 200, headers = {}, delayMs = 0, content = "Tailored" } = replies.shift() || {};
+      const body = status === 200 ? { choices: [{ message: { content } }] } : { error: { message: "busy" } };
+      const timer = setTimeout(() => {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify(body));
+      }, delayMs);
+      res.on("close", () => clearTimeout(timer));
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      provider.url = `http://127.0.0.1:${server.address().port}`;
+      provider.close = () => {
+        server.closeAllConnections();
+        return new Promise((done) => server.close(done));
+      };
+      resolve(provider);
+    });
+  });
+}
+
+const elapsed = async (promise) => {
+  const start = Date.now();
+  await promise;
+  return Date.now() - start;
+};
+
+describe("OpenAI-compatible provider", () => {
+  let provider;
+  before(async () => {
+    provider = await startProvider();
+  });
+  after(() => provider.close());
+  beforeEach(() => {
+    Object.assign(process.env, { LLM_PROVIDER: "openai", LLM_API_BASE: provider.url, LLM_API_KEY: "test-key", LLM_MAX_RETRIES: "3", LLM_TIMEOUT_MS: "5000" });
+    provider.replies.length = 0;
+    provider.requests = 0;
+  });
+
+  it("retries rate limits and server errors until an answer comes", async () => {
+    provider.replies.push({ status: 429, headers: { "Retry-After": "0" } }, { status: 503, headers: { "Retry-After": "0" } });
+    assert.equal(await callLLM("cv", "system", "user"), "Tailored");
+    assert.equal(provider.requests, 3);
+  });
+
+  it("gives up after LLM_MAX_RETRIES and does not retry client errors", async () => {
+    process.env.LLM_MAX_RETRIES = "1";
+    provider.replies.push(...Array(3).fill({ status: 500, headers: { "Retry-After": "0" } }));
+    await assert.rejects(callLLM("cv", "system", "user"), /^Error: openai: HTTP 500 \(busy\) after 2 attempts$/);
+    assert.equal(provider.requests, 2);
+
+    provider.requests = 0;
+    provider.replies.length = 0;
+    provider.replies.push({ status: 400 });
+    await assert.rejects(callLLM("cv", "system", "user"), /HTTP 400/);
+    assert.equal(provider.requests, 1);
+  });
+
+  it("waits as long as Retry-After asks", async () => {
+    provider.replies.push({ status: 429, headers: { "Retry-After": "1" } });
+    assert.ok((await elapsed(callLLM("cv", "system", "user"))) >= 950);
+    assert.equal(provider.requests, 2);
+  });
+
+  it("backs off before retrying without Retry-After", async () => {
+    provider.replies.push({ status: 502 });
+    assert.ok((await elapsed(callLLM("cv", "system", "user"))) >= 950);
+    assert.equal(provider.requests, 2);
+  });
+
+  it("times out slow answers after LLM_TIMEOUT_MS", async () => {
+    Object.assign(process.env, { LLM_TIMEOUT_MS: "100", LLM_MAX_RETRIES: "0" });
+    provider.replies.push({ delayMs: 2000 });
+    await assert.rejects(callLLM("cv", "system", "user"), /^Error: openai: timed out after 100 ms$/);
+  });
+
+  it("stops a request or a back-off as soon as the signal aborts", async () => {
+    const stopped = new Error("Stopped");
+    for (const reply of [{ delayMs: 2000 }, { status: 429, headers: { "Retry-After": "5" } }]) {
+      provider.replies.push(reply);
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(stopped), 100);
+      const ms = await elapsed(assert.rejects(callLLM("cv", "system", "user", { signal: controller.signal }), (err) => err === stopped));
+      assert.ok(ms < 1000, `took ${ms} ms`);
+    }
+  });
+});
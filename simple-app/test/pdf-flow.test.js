@@ -0,0 +1,100 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const PDFDocument = require("pdfkit");
+const { paragraph, paginate, wrapRuns } = require("../lib/pdf-flow");
+
+const FRAME = { top: 0, bottom: 100 };
+const box = (height, extra = {}) => ({ height, draw() {}, ...extra });
+// Page number and y of every box, e.g. [[1, 0], [1, 40], [2, 0]]
+const placements = (pages) => pages.flatMap((page, index) => page.map(({ y }) => [index + 1, y]));
+
+describe("paginate", () => {
+  it("starts a new page when a box does not fit", () => {
+    const pages = paginate([box(40), box(40), box(40)], FRAME);
+    assert.deepEqual(placements(pages), [
+      [1, 0],
+      [1, 40],
+      [2, 0],
+    ]);
+  });
+
+  it("moves keep-with-next boxes along with the box that did not fit", () => {
+    const heading = box(10, { keepWithNext: true });
+    const pages = paginate([box(80), heading, box(20)], FRAME);
+    assert.deepEqual(placements(pages), [
+      [1, 0],
+      [2, 0],
+      [2, 10],
+    ]);
+  });
+
+  it("breaks inside a keep-with-next run that fills a whole page", () => {
+    const chained = [box(60, { keepWithNext: true }), box(60, { keepWithNext: true }), box(60)];
+    assert.deepEqual(placements(paginate(chained, FRAME)), [
+      [1, 0],
+      [2, 0],
+      [3, 0],
+    ]);
+  });
+
+  it("drops the space before a box at the top of a continuation page", () => {
+    const pages = paginate([box(50, { spaceBefore: 5 }), box(40, { spaceBefore: 20 })], { ...FRAME, firstTop: 10 });
+    assert.deepEqual(placements(pages), [
+      [1, 15],
+      [2, 0],
+    ]);
+  });
+
+  it("clears boxes whose ink reaches below their height", () => {
+    const labelled = box(10, { extent: 30 });
+    const pages = paginate([labelled, box(10), box(10, { clear: true })], FRAME);
+    assert.deepEqual(placements(pages), [
+      [1, 0],
+      [1, 10],
+      [1, 30],
+    ]);
+    // The extent has to fit on the page too
+    assert.deepEqual(placements(paginate([box(80), labelled], FRAME)), [
+      [1, 0],
+      [2, 0],
+    ]);
+  });
+});
+
+describe("paragraph", () => {
+  const doc = new PDFDocument();
+  const style = { font: "Helvetica", size: 10, color: "#000000" };
+  const text = (words) => Array.from({ length: words }, (_, i) => `word${i}`).join(" ");
+
+  it("wraps styled runs to the width", () => {
+    const lines = wrapRuns(doc, [{ text: text(40), style }], 150);
+    assert.ok(lines.length > 3);
+    for (const fragments of lines) assert.ok(fragments.reduce((sum, f) => sum + f.width, 0) <= 150);
+    assert.equal(lines.map((fragments) => fragments.map((f) => f.text).join("")).join(" "), text(40));
+  });
+
+  it("splits words longer than a line", () => {
+    const lines = wrapRuns(doc, [{ text: "x".repeat(200), style }], 100);
+    assert.ok(lines.length > 1);
+    assert.equal(lines.map(([fragment]) => fragment.text).join(""), "x".repeat(200));
+  });
+
+  it("keeps the first and last two lines of a paragraph together", () => {
+    const lines = paragraph(doc, [{ text: text(60), style }], { width: 150 });
+    assert.ok(lines.length >= 6);
+    const flags = lines.map((line) => Boolean(line.keepWithNext));
+    const n = flags.length;
+    assert.deepEqual(flags, flags.map((_, i) => i === 0 || i === n - 2));
+  });
+
+  it("keeps short paragraphs whole and can tie the last line to what follows", () => {
+    const together = paragraph(doc, [{ text: text(60), style }], { width: 150, keepTogether: true, keepWithNext: true });
+    assert.ok(together.every((line) => line.keepWithNext));
+    const threeLines = paragraph(doc, [{ text: text(12), style }], { width: 150 });
+    assert.equal(threeLines.length, 3);
+    assert.deepEqual(
+      threeLines.map((line) => Boolean(line.keepWithNext)),
+      [true, true, false]
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRedactor } = require("../lib/redaction");
+
+const CV = `Ama Mensah
+ama.mensah@example.com | +233 20 123 4567 | linkedin.com/in/amamensah
+
+Senior Software Engineer, Hubtel, 2019 - 2021
+Contact Ama Mensah at ama.mensah@example.com`;
+
+describe("createRedactor", () => {
+  it("replaces personal details with numbered placeholders", () => {
+    const redactor = createRedactor();
+    const redacted = redactor.redact(CV);
+    assert.equal(
+      redacted,
+      `[NAME_1]
+[EMAIL_1] | [PHONE_1] | [LINK_1]
+
+Senior Software Engineer, Hubtel, 2019 - 2021
+Contact [NAME_1] at [EMAIL_1]`
+    );
+    assert.deepEqual(
+      redactor.report().map(({ type, occurrences }) => [type, occurrences]),
+      [
+        ["name", 2],
+        ["email", 2],
+        ["link", 1],
+        ["phone", 1],
+      ]
+    );
+  });
+
+  it("restores placeholders in text and in structured CVs", () => {
+    const redactor = createRedactor();
+    assert.equal(redactor.restore(redactor.redact(CV)), CV);
+    const cvData = redactor.restoreCV({ personalInfo: { fullName: "[NAME_1]", email: "[EMAIL_1]" }, summary: "Hire [NAME_1]" });
+    assert.equal(cvData.personalInfo.fullName, "Ama Mensah");
+    assert.equal(cvData.personalInfo.email, "ama.mensah@example.com");
+    assert.equal(cvData.summary, "Hire Ama Mensah");
+  });
+
+  const openings = {
+    "a document title": "Curriculum Vitae\nAma Mensah",
+    "an upper-case title": "RESUME\n\nAma Mensah",
+    "a German title": "Lebenslauf\nAma Mensah",
+    "credentials after the name": "Ama Mensah, MBA, PhD",
+  };
+  for (const [name, opening] of Object.entries(openings)) {
+    it(`finds the name below or next to ${name}`, () => {
+      const redacted = createRedactor().redact(`${opening}\nama.mensah@example.com\n\nContact Ama Mensah by email`);
+      assert.doesNotMatch(redacted, /Ama Mensah/);
+      assert.match(redacted, /Contact \[NAME_1\] by email/);
+    });
+  }
+
+  it("uses the profile's personal details when given", () => {
+    const redactor = createRedactor();
+    redactor.addPersonalInfo({ fullName: "Kofi Boateng", location: "Kumasi, Ghana" });
+    assert.equal(redactor.redact("Kofi Boateng lives in Kumasi, Ghana"), "[NAME_1] lives in [ADDRESS_1]");
+  });
+});
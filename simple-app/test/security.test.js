@@ -0,0 +1,106 @@
+// Access control, CORS, rate limits, response headers and spreadsheet-safe exports, with the server configured
+// the way a public deployment would be
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { startApp, request } = require("./helpers/app");
+const { createAuth } = require("../lib/auth");
+const { summaryCsv } = require("../lib/batch");
+
+const API_KEY = "test-key";
+const ALLOWED_ORIGIN = "https://jobs.example.com";
+
+let app;
+before(async () => {
+  app = await startApp({ API_KEY, CORS_ORIGINS: ALLOWED_ORIGIN, RATE_LIMIT_MAX: "2" });
+});
+after(() => app.close());
+
+const withKey = { headers: { "X-API-Key": API_KEY } };
+
+describe("API key", () => {
+  it("rejects API calls without a valid key", async () => {
+    assert.equal((await request(app.url("/api/templates"))).status, 401);
+    assert.equal((await request(app.url("/api/templates"), { headers: { "X-API-Key": "wrong" } })).status, 401);
+  });
+
+  it("accepts the key as a header or a bearer token", async () => {
+    assert.equal((await request(app.url("/api/templates"), withKey)).status, 200);
+    assert.equal((await request(app.url("/api/templates"), { headers: { Authorization: `Bearer ${API_KEY}` } })).status, 200);
+  });
+
+  it("leaves the health check and the web UI open", async () => {
+    assert.equal((await request(app.url("/api/health"))).status, 200);
+    assert.equal((await request(app.url("/"))).status, 200);
+  });
+});
+
+describe("basic auth", () => {
+  let server;
+  let baseUrl;
+  before(async () => {
+    const gated = express();
+    gated.use(createAuth({ basicUser: "ama", basicPassword: "s3cret", open: ["/health"] }));
+    gated.get("*", (req, res) => res.send("ok"));
+    server = await new Promise((resolve) => {
+      const listening = gated.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const basic = (user, password) => ({ headers: { Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}` } });
+
+  it("protects every page with a login prompt", async () => {
+    const { status, headers } = await request(`${baseUrl}/`);
+    assert.equal(status, 401);
+    assert.match(headers.get("www-authenticate"), /^Basic realm=/);
+    assert.equal((await request(`${baseUrl}/`, basic("ama", "wrong"))).status, 401);
+    assert.equal((await request(`${baseUrl}/`, basic("ama", "s3cret"))).status, 200);
+    assert.equal((await request(`${baseUrl}/health`)).status, 200);
+  });
+});
+
+describe("CORS", () => {
+  it("allows only the configured origins", async () => {
+    const allowed = await request(app.url("/api/health"), { headers: { Origin: ALLOWED_ORIGIN } });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), ALLOWED_ORIGIN);
+    const other = await request(app.url("/api/health"), { headers: { Origin: "https://evil.example" } });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+});
+
+describe("headers", () => {
+  it("sends security headers on every response", async () => {
+    for (const pathname of ["/", "/api/health"]) {
+      const { headers } = await request(app.url(pathname));
+      assert.equal(headers.get("x-content-type-options"), "nosniff");
+      assert.equal(headers.get("x-frame-options"), "DENY");
+      assert.equal(headers.get("referrer-policy"), "no-referrer");
+    }
+  });
+});
+
+describe("rate limits", () => {
+  it("limits generation requests per client", async () => {
+    const fetchPosting = () =>
+      request(app.url("/api/job-posting"), { method: "POST", headers: { ...withKey.headers, "Content-Type": "application/json" }, body: "{}" });
+    assert.equal((await fetchPosting()).status, 400);
+    assert.equal((await fetchPosting()).status, 400);
+    const limited = await fetchPosting();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.match(limited.body.error, /Too many generation requests/);
+    // Other API routes have their own, larger budget
+    assert.equal((await request(app.url("/api/templates"), withKey)).status, 200);
+  });
+});
+
+describe("batch summary sheet", () => {
+  it("keeps cells that start like a formula from running", () => {
+    const titles = ["=SUM(A1)", "+1", "-1", "@cmd", "\tcmd", "\rcmd", "Engineer"];
+    const rows = summaryCsv(titles.map((jobTitle, index) => ({ index, jobTitle, company: "Acme", status: "done" }))).split("\r\n");
+    const cells = rows.slice(1, -1).map((row) => row.split(",")[1]);
+    assert.deepEqual(cells, ["'=SUM(A1)", "'+1", "'-1", "'@cmd", "'\tcmd", "\"'\rcmd\"", "Engineer"]);
+  });
+});
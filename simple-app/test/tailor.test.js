@@ -0,0 +1,325 @@
+// /api/tailor-cv end to end with the fake LLM: every option value with every output format, every input
+// file type, and the streaming, batch, re-render and history routes built on the same pipeline.
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const JSZip = require("jszip");
+const { startApp, tailorForm, request, readEvents } = require("./helpers/app");
+const { pdfText, docxText, normalize } = require("./helpers/documents");
+const { FORMATS } = require("../lib/formats");
+const { LANGUAGES } = require("../lib/i18n");
+const { TEMPLATES } = require("../lib/templates");
+const { REGIONS } = require("../lib/regions");
+const { TONES, LENGTHS } = require("../lib/letters");
+const { generateCVPDF } = require("../lib/pdf-renderer");
+const { generateCVDocx } = require("../lib/docx-renderer");
+const { validateCV } = require("../lib/cv-schema");
+
+const ALL_FORMATS = Object.keys(FORMATS);
+const DOCUMENTS = ["cv", "coverLetter", "email"];
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+beforeEach(() => app.fakeLLM.reset());
+
+async function tailor(form) {
+  const { status, body } = await request(app.url("/api/tailor-cv"), { method: "POST", body: form });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body;
+}
+
+async function download(url) {
+  const { status, headers, body } = await request(app.url(url));
+  assert.equal(status, 200, `${url} -> ${status}`);
+  return { type: headers.get("content-type"), disposition: headers.get("content-disposition"), body };
+}
+
+// Text of a downloaded file in any format, for checking what ended up in it
+async function fileText(format, body) {
+  if (format === "pdf") return pdfText(body);
+  if (format === "docx") return docxText(body);
+  if (format === "json") return JSON.stringify(body);
+  return normalize(body.toString("utf8"));
+}
+
+// Every requested document in every requested format: listed, downloadable with the right type and not empty
+async function assertFiles(result, formats, documents = DOCUMENTS) {
+  const texts = {};
+  for (const type of documents) {
+    const doc = result[type];
+    assert.ok(doc, `${type} missing: ${JSON.stringify(result.errors)}`);
+    assert.deepEqual(doc.files.map((file) => file.format), formats);
+    texts[type] = {};
+    for (const file of doc.files) {
+      const { type: contentType, disposition, body } = await download(file.url);
+      assert.ok(contentType.startsWith(FORMATS[file.format].mimeType), `${type}.${file.format}: ${contentType}`);
+      assert.match(disposition, new RegExp(`\\.${FORMATS[file.format].extension}"?$`));
+      texts[type][file.format] = await fileText(file.format, body);
+      assert.ok(texts[type][file.format].length > 20, `${type}.${file.format} is empty`);
+    }
+  }
+  return texts;
+}
+
+describe("templates", () => {
+  for (const template of Object.keys(TEMPLATES)) {
+    it(`renders every document in every format with the ${template} template`, async () => {
+      const result = await tailor(tailorForm({ options: { template, formats: ALL_FORMATS } }));
+      assert.deepEqual(result.errors, {});
+      const texts = await assertFiles(result, ALL_FORMATS);
+      for (const format of ALL_FORMATS) assert.match(texts.cv[format], /Ama Mensah|AMA MENSAH/);
+      assert.match(texts.coverLetter.docx, /led the migration of 40 services/);
+      assert.match(texts.email.pdf, /Application for Senior Backend Engineer - Ama Mensah/);
+    });
+  }
+});
+
+describe("languages and regions", () => {
+  for (const language of Object.values(LANGUAGES)) {
+    for (const region of Object.values(REGIONS)) {
+      it(`renders ${language.id} headings in the ${region.id} layout in every format`, async () => {
+        const result = await tailor(tailorForm({ options: { language: language.id, region: region.id, formats: ALL_FORMATS } }));
+        const texts = await assertFiles(result, ALL_FORMATS);
+        const labelled = region.layout !== "standard";
+        for (const format of ["pdf", "docx", "md", "txt", "html"]) {
+          const text = texts.cv[format].toUpperCase();
+          assert.ok(text.includes(language.sections.experience), `${format}: ${language.sections.experience}`);
+          // Personal details are shown only by the regions that expect them
+          assert.equal(text.includes(language.personal.nationality.toUpperCase()), region.personalFields.includes("nationality"), format);
+          // PDF and DOCX switch to the label-column layout, with a personal-details section
+          if (labelled && ["pdf", "docx"].includes(format)) assert.ok(text.includes(language.personal.heading), `${format}: ${language.personal.heading}`);
+        }
+        // The region only shapes the rendered files; the CV data keeps every detail
+        assert.equal(result.cv.data.personalInfo.nationality, "Ghanaian");
+        assert.match(app.fakeLLM.callsFor("cv")[0].userPrompt, new RegExp(`Write everything in ${language.name}`));
+        if (region.rules.length) assert.match(app.fakeLLM.callsFor("cv")[0].userPrompt, new RegExp(`Follow ${region.name} conventions`));
+      });
+    }
+  }
+
+  it("applies no regional conventions when no region is given", async () => {
+    const cvData = JSON.parse(app.fakeLLM.fixture("tailored-cv.json"));
+    cvData.experience[0].achievements = Array.from({ length: 8 }, (_, i) => `Achievement ${i + 1}`);
+    app.fakeLLM.queue("cv", JSON.stringify(cvData));
+    const result = await tailor(tailorForm({ options: { formats: ["txt"], coverLetter: false, email: false } }));
+    const text = (await download(result.cv.url)).body.toString("utf8");
+    assert.match(text, /Achievement 8/);
+    assert.doesNotMatch(text, /Ghanaian/);
+    assert.doesNotMatch(app.fakeLLM.callsFor("cv")[0].userPrompt, /Follow .+ conventions/);
+    const run = await request(app.url(`/api/runs/${result.runId}`));
+    assert.equal(run.body.run.options.region, "none");
+  });
+});
+
+describe("letter options", () => {
+  for (const tone of Object.values(TONES)) {
+    for (const length of Object.values(LENGTHS)) {
+      it(`asks for a ${tone.id}, ${length.id} letter and email and renders them in every format`, async () => {
+        const letter = { tone: tone.id, length: length.id, hiringManager: "Ms Ofori", highlights: ["Cut p95 payment latency by 35%"] };
+        const result = await tailor(tailorForm({ options: { letter, formats: ALL_FORMATS } }));
+        const texts = await assertFiles(result, ALL_FORMATS, ["coverLetter", "email"]);
+        for (const type of ["coverLetter", "email"]) {
+          const { userPrompt } = app.fakeLLM.callsFor(type)[0];
+          const [min, max] = length[type];
+          assert.ok(userPrompt.includes(tone.instruction));
+          assert.ok(userPrompt.includes(`Aim for ${min}-${max} words`));
+          assert.ok(userPrompt.includes("Address it to Ms Ofori"));
+        }
+        // The cover letter is addressed to the hiring manager at the job's company
+        assert.match(texts.coverLetter.docx, /Ms Ofori\n\nAcme Pay/);
+        assert.equal(result.email.subject, "Application for Senior Backend Engineer - Ama Mensah");
+      });
+    }
+  }
+});
+
+describe("CV sections", () => {
+  it("carries grouped skills and the optional sections into every format", async () => {
+    app.fakeLLM.queue("cv", app.fakeLLM.fixture("full-cv.json"));
+    const result = await tailor(tailorForm({ options: { coverLetter: false, email: false, formats: ALL_FORMATS } }));
+    const texts = await assertFiles(result, ALL_FORMATS, ["cv"]);
+    const { sections } = LANGUAGES.en;
+    for (const format of ["pdf", "docx", "md", "txt", "html"]) {
+      const text = texts.cv[format];
+      for (const id of ["projects", "certifications", "languages", "publications", "volunteering", "awards"]) {
+        assert.ok(text.includes(sections[id]), `${format}: ${sections[id]}`);
+      }
+      assert.match(text, /INTERESTS/, format);
+      assert.match(text, /Infrastructure(?:\W|<\/?\w+>)+Kubernetes/, format);
+      assert.match(text, /Thesis on mobile money fraud detection/, format);
+    }
+    const resume = JSON.parse(texts.cv.json);
+    assert.deepEqual(resume.skills[0], { name: "Languages", keywords: ["Node.js", "Go", "SQL"] });
+    assert.deepEqual(resume.languages, [
+      { language: "English", fluency: "Native" },
+      { language: "French", fluency: "B2" },
+    ]);
+    assert.equal(resume.certificates[0].date, "2023");
+
+    // What the original CV does not mention is flagged like invented experience
+    const flagged = result.verification.warnings.map((warning) => warning.path);
+    assert.ok(flagged.includes("certifications[0].name"), flagged.join(", "));
+    assert.ok(flagged.includes("volunteering[0].organization"), flagged.join(", "));
+    assert.match(app.fakeLLM.callsFor("cv")[0].userPrompt, /customSections/);
+  });
+});
+
+describe("CV sources", () => {
+  // PDF and DOCX uploads are the fixture CV rendered by the app's own renderers
+  const rendered = async (format) => {
+    const { value: cvData } = validateCV(JSON.parse(app.fakeLLM.fixture("tailored-cv.json")));
+    const buffer = format === "pdf" ? await generateCVPDF(cvData, TEMPLATES.classic, {}) : await generateCVDocx(cvData, TEMPLATES.classic, {});
+    return { name: `ama-mensah.${format}`, buffer };
+  };
+  const sources = {
+    "plain text": { cv: "ama-mensah.txt", type: "text" },
+    Markdown: { cv: "ama-mensah.md", type: "markdown" },
+    "JSON Resume": { cv: "json-resume.json", type: "jsonResume" },
+    PDF: { cv: () => rendered("pdf"), type: "pdf" },
+    DOCX: { cv: () => rendered("docx"), type: "docx" },
+  };
+
+  for (const [name, { cv, type }] of Object.entries(sources)) {
+    it(`tailors an uploaded ${name} CV`, async () => {
+      const events = await stream(tailorForm({ cv: typeof cv === "function" ? await cv() : cv }));
+      assert.equal(events[0].data.fileType, type);
+      const { userPrompt } = app.fakeLLM.callsFor("cv")[0];
+      assert.match(userPrompt, /Led the migration of 40 services/);
+      assert.equal(events.at(-1).event, "done");
+    });
+  }
+
+  it("tailors a saved profile without an upload", async () => {
+    const created = await request(app.url("/api/profiles"), { method: "POST", body: tailorForm({ options: {} }) });
+    assert.equal(created.status, 201);
+    const result = await tailor(tailorForm({ cv: null, fields: { profileId: created.body.profile.id } }));
+    assert.equal(result.cv.data.personalInfo.fullName, "Ama Mensah");
+    assert.match(app.fakeLLM.callsFor("cv").at(-1).userPrompt, /"fullName": "Ama Mensah"/);
+  });
+});
+
+async function stream(form) {
+  const response = await fetch(app.url("/api/tailor-cv/stream"), { method: "POST", body: form });
+  assert.equal(response.status, 200);
+  return readEvents(response);
+}
+
+describe("other options", () => {
+  it("bundles every document and format with the job description in a ZIP", async () => {
+    const result = await tailor(tailorForm({ options: { formats: ["pdf", "docx"], bundle: true } }));
+    const zip = await JSZip.loadAsync((await download(result.bundle.url)).body);
+    assert.deepEqual(Object.keys(zip.files).sort(), [
+      "Ama Mensah_CV.docx",
+      "Ama Mensah_CV.pdf",
+      "Ama Mensah_Cover_Letter.docx",
+      "Ama Mensah_Cover_Letter.pdf",
+      "Ama Mensah_Email.docx",
+      "Ama Mensah_Email.pdf",
+      "job.txt",
+    ]);
+  });
+
+  it("generates only the requested documents", async () => {
+    const result = await tailor(tailorForm({ options: { cv: false, coverLetter: true, email: false } }));
+    assert.ok(result.coverLetter);
+    assert.equal(result.cv, undefined);
+    assert.equal(result.email, undefined);
+    assert.deepEqual(app.fakeLLM.calls.map((call) => call.task).sort(), ["coverLetter", "cv"]);
+  });
+
+  it("hides personal details from the provider when redacting and restores them in the results", async () => {
+    // A provider that keeps the placeholders it was given
+    app.fakeLLM.queue("cv", (prompt) => app.fakeLLM.fixture("tailored-cv.json").replace("Ama Mensah", "[NAME_1]").replace("ama.mensah@example.com", "[EMAIL_1]"));
+    app.fakeLLM.queue("coverLetter", "Dear team,\n\nPlease reach me at [EMAIL_1].\n\nSincerely,\n[NAME_1]");
+    const result = await tailor(tailorForm({ options: { redact: true } }));
+
+    for (const { userPrompt } of app.fakeLLM.calls) {
+      assert.doesNotMatch(userPrompt, /Ama Mensah|ama\.mensah@example\.com|123 4567/);
+    }
+    assert.deepEqual(result.redaction.map((item) => item.type).sort(), ["email", "link", "name", "phone"]);
+    assert.equal(result.cv.data.personalInfo.fullName, "Ama Mensah");
+    assert.equal(result.cv.data.personalInfo.email, "ama.mensah@example.com");
+    assert.equal(result.coverLetter.preview, "Dear team,\n\nPlease reach me at ama.mensah@example.com.\n\nSincerely,\nAma Mensah");
+  });
+});
+
+describe("streaming, batch, re-rendering and history", () => {
+  it("streams the pipeline stages in order", async () => {
+    const events = await stream(tailorForm({ options: { bundle: true } }));
+    const names = events.map((e) => e.event);
+    assert.deepEqual(names.slice(0, 2), ["parsed", "cv-data"]);
+    assert.deepEqual(names.filter((name) => name === "document").length, 3);
+    assert.deepEqual(names.slice(-3), ["bundle", "saved", "done"]);
+  });
+
+  it("tailors a batch of jobs into one ZIP with a summary sheet", async () => {
+    const jobs = [
+      { jobTitle: "Backend Engineer", company: "Acme Pay", jobDescription: "Node.js and PostgreSQL" },
+      { jobTitle: "Platform Engineer", company: "Northwind", jobDescription: "Kubernetes and Kafka" },
+    ];
+    const response = await fetch(app.url("/api/tailor-cv/batch"), { method: "POST", body: tailorForm({ fields: { jobs: JSON.stringify(jobs) } }) });
+    const events = await readEvents(response);
+    assert.deepEqual(events.at(-1), { event: "done", data: { completed: 2, failed: 0 } });
+
+    const bundle = events.find((e) => e.event === "bundle").data;
+    const zip = await JSZip.loadAsync((await download(bundle.url)).body);
+    assert.ok(zip.file("01 Acme Pay - Backend Engineer/Ama Mensah_CV.pdf"));
+    assert.ok(zip.file("02 Northwind - Platform Engineer/job.txt"));
+    assert.match(await zip.file("summary.csv").async("string"), /Platform Engineer,Northwind,done/);
+  });
+
+  it("re-renders edited CV data in every format without calling the LLM", async () => {
+    const cvData = JSON.parse(app.fakeLLM.fixture("tailored-cv.json"));
+    cvData.summary = "Edited summary";
+    const { status, body } = await request(app.url("/api/render-cv"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ cvData, formats: ALL_FORMATS, template: "modern", language: "fr", region: "europass" }),
+    });
+    assert.equal(status, 200);
+    assert.equal(app.fakeLLM.calls.length, 0);
+    assert.match(await pdfText((await download(body.files.find((f) => f.format === "pdf").url)).body), /Edited summary/);
+  });
+
+  it("caps bullets per role for the region when re-rendering", async () => {
+    const cvData = JSON.parse(app.fakeLLM.fixture("tailored-cv.json"));
+    cvData.experience[0].achievements = ["First", "Second", "Third", "Fourth", "Fifth bullet"];
+    const { body } = await request(app.url("/api/render-cv"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ cvData, format: "txt", region: "de" }),
+    });
+    const text = (await download(body.files[0].url)).body.toString("utf8");
+    assert.match(text, /Fourth/);
+    assert.doesNotMatch(text, /Fifth bullet/);
+    assert.equal(body.data.experience[0].achievements.length, 5);
+  });
+
+  it("downloads stored documents from history in another format", async () => {
+    const result = await tailor(tailorForm());
+    const run = await request(app.url(`/api/runs/${result.runId}`));
+    assert.equal(run.body.run.options.format, "pdf");
+    for (const type of DOCUMENTS) {
+      const file = await download(`/api/runs/${result.runId}/download/${type}?format=docx`);
+      assert.ok(file.type.startsWith(FORMATS.docx.mimeType));
+      assert.match(await docxText(file.body), /Ama Mensah/i);
+    }
+  });
+
+  it("keeps personal details a region left out for re-downloads in another region", async () => {
+    const result = await tailor(tailorForm({ options: { region: "us" } }));
+    const file = await download(`/api/runs/${result.runId}/download/cv?format=txt&region=europass`);
+    assert.match(file.body.toString("utf8"), /Ghanaian/);
+  });
+
+  it("runs tailoring as a background job", async () => {
+    const submitted = await request(app.url("/api/jobs"), { method: "POST", body: tailorForm() });
+    assert.equal(submitted.status, 202);
+    const events = await readEvents(await fetch(app.url(`/api/jobs/${submitted.body.job.id}/events`)));
+    assert.equal(events.at(-1).data.status, "succeeded");
+    const result = await request(app.url(`/api/jobs/${submitted.body.job.id}/result`));
+    assert.equal(result.body.cv.data.personalInfo.fullName, "Ama Mensah");
+  });
+});